@@ -1,24 +1,287 @@
 // kg-visualizer.js - JavaScript for Knowledge Graph Visualization with Custom Queries
 
-import { pipeline } from 'https://cdn.jsdelivr.net/npm/@xenova/transformers@2.6.0';
+import { pipeline } from 'https://cdn.jsdelivr.net/npm/@huggingface/transformers@3.8.1';
 
 let network = null;
+let networkNodes = null;
+let networkEdges = null;
+// Unstyled-by-highlight copies of the main network's nodes and edges
+let graphElements = { nodes: [], edges: [] };
+// Ids hidden by each visibility layer (timeline, filters, map place); an element shows unless some layer hides it
+let hiddenGraphLayers = {};
 let currentData = null;
 let eventsIndex = [];
 let nodesData = {};
 
+// Edge colours for each originating country in the merged hazard view
+const COUNTRY_COLORS = ['#e67e22', '#16a085', '#c0392b', '#2980b9', '#8e44ad', '#d35400', '#27ae60'];
+const SHARED_EDGE_COLOR = '#2c3e50';
+
+// Comparison mode: the two panes' networks, and the style of items found in only one event
+let compareNetworks = [];
+const COMPARE_UNIQUE_COLOR = '#e67e22';
+
+// Accepted node aliases (normalised label -> canonical label) and rejected merge proposals,
+// persisted in localStorage so they apply to every event and session
+const ENTITY_ALIASES_STORAGE_KEY = 'kg_entity_aliases';
+const DEFAULT_ENTITY_SIMILARITY = 0.85;
+let entityAliases = { aliases: {}, rejected: [] };
+let entityProposals = [];
+
+// Path explorer limits, and the style of highlighted and dimmed graph elements
+const MAX_PATH_HOPS = 8;
+const MAX_PATHS = 100;
+const HIGHLIGHT_EDGE_COLOR = '#8e44ad';
+const BLOCKED_PATH_COLOR = '#c0392b';
+const DIMMED_COLOR = '#e0e0e0';
+let causalPaths = [];
+
+// Causal roles of nodes (drawn as shapes) and the spacing of the fixed layouts
+const NODE_ROLES = {
+    hazard: { label: 'Hazard', shape: 'star', symbol: '★' },
+    driver: { label: 'Driver', shape: 'dot', symbol: '●' },
+    impact: { label: 'Impact', shape: 'square', symbol: '■' },
+    mitigation: { label: 'Mitigation', shape: 'triangle', symbol: '▲' }
+};
+const HAZARD_LABEL_PATTERN = /\b(hurricane|storm|cyclone|typhoon|earthquake|tsunami|tornado|eruption)\b/i;
+const LAYER_SPACING_X = 260;
+const LAYER_SPACING_Y = 110;
+const MITIGATION_LANE_GAP = 180;
+const RADIAL_RING_SPACING = 220;
+
+// Storyline factsheet: node ids mentioned by each rendered sentence, and the canvas
+// selection to restore when the pointer leaves a linked phrase
+let storylineMentions = [];
+let storylineHoverSelection = null;
+
+// View state mirrored into the URL hash. Camera moves and filter edits replace the
+// current history entry after a pause; navigation (event, modal, query) pushes a new one.
+const VIEW_HASH_DEBOUNCE_MS = 400;
+let restoringViewState = false;
+let viewHashTimer = null;
+let lastViewQuery = '';
+
+// Namespaces used when serialising graphs to RDF
+const EXPORT_BASE_IRI = 'http://example.org/humevents/';
+const EXPORT_PREFIXES = {
+    kg: `${EXPORT_BASE_IRI}schema#`,
+    rdf: 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+    rdfs: 'http://www.w3.org/2000/01/rdf-schema#',
+    xsd: 'http://www.w3.org/2001/XMLSchema#',
+    prov: 'http://www.w3.org/ns/prov#',
+    dcterms: 'http://purl.org/dc/terms/'
+};
+
+// Pattern queries: cap on returned solutions, and every event's graph once loaded
+const MAX_PATTERN_SOLUTIONS = 500;
+let allEventGraphsLoading = null;
+let patternSolutions = [];
+
+// Grounding checks: a cited sentence counts as supported at or above this score
+const GROUNDING_SUPPORT_THRESHOLD = 0.5;
+const GROUNDING_MIN_WORDS = 4;
+// Sentences that admit the sources lack evidence make no factual claim
+const MISSING_EVIDENCE_PATTERN = /\b(sources?|articles?|documents?|context)\b[^.]*\b(do not|does not|don't|doesn't|did not|no (specific )?(mention|information|evidence|data))\b/i;
+const SENTENCE_ABBREVIATIONS = new Set(['st', 'mr', 'mrs', 'dr', 'no', 'vs', 'u.s', 'e.g', 'i.e', 'approx', 'sept', 'gov']);
+// Instruction-free embeddings of answer sentences, passages and node labels, per model
+const textEmbeddingCache = new Map();
+
+// Evidence strength: how many distinct outlets/articles count as full marks, and how
+// many days after the event start an article's weight halves
+const EVIDENCE_FULL_OUTLETS = 3;
+const EVIDENCE_FULL_ARTICLES = 4;
+const EVIDENCE_RECENCY_HALF_LIFE_DAYS = 14;
+const EVIDENCE_LEVELS = [
+    { edge: '#e74c3c', node: { background: '#95a5a6', border: '#7f8c8d', highlight: { background: '#bdc3c7', border: '#7f8c8d' } } },
+    { edge: '#f39c12', node: { background: '#9b59b6', border: '#8e44ad', highlight: { background: '#bb8fce', border: '#8e44ad' } } },
+    { edge: '#2ecc71', node: { background: '#3498db', border: '#2980b9', highlight: { background: '#5dade2', border: '#2980b9' } } }
+];
+
+// Timeline replay: first reporting day (relative to start_dt) of each edge and node
+const DAY_MS = 86400000;
+const TIMELINE_PLAY_INTERVAL_MS = 700;
+let timelineState = null;
+let timelinePlayTimer = null;
+
+// Graph-augmented retrieval: how closely a node label must match the query, and how
+// many matched nodes and neighbouring triples are added to the LLM context
+const GRAPH_MATCH_THRESHOLD = 0.5;
+const MAX_GRAPH_SEED_NODES = 4;
+const MAX_GRAPH_CONTEXT_TRIPLES = 8;
+
+// Conversation sessions and edge/node answer reviews, persisted in IndexedDB
+const APP_DB_NAME = 'kg_visualizer';
+const APP_DB_VERSION = 2;
+const CHAT_STORE = 'chat_sessions';
+const REVIEW_STORE = 'answer_reviews';
+const CHAT_REWRITE_TURNS = 3;
+let appDatabase = null;
+let chatSessions = [];
+let activeChatSession = null;
+
+// Review of the pre-computed answer shown in each modal, and the follow-up in flight
+const REVIEW_STATUSES = {
+    confirmed: '✅ Confirmed',
+    disputed: '⚠️ Disputed',
+    superseded: '🔁 Superseded'
+};
+let openReviews = { edge: null, node: null };
+let activeFollowUpController = null;
+
+// Map panel: offline gazetteer and the places geocoded for the displayed graph
+const GAZETTEER_URL = 'gazetteer.json';
+const PLACE_COLOR = '#667eea';
+const LOCATION_PLACE_COLOR = '#764ba2';
+const SELECTED_PLACE_COLOR = '#e67e22';
+let gazetteerLoading = null;
+let placeMap = null;
+let placeMarkers = null;
+let eventPlaces = [];
+let selectedPlaceId = null;
+
+// Article browser: the displayed event's embeddings documents with the edges and nodes
+// citing each one
+let eventArticles = null;
+let selectedArticleKey = null;
+
+// Filter sidebar: node whose k-hop neighbourhood is focused
+const MAX_FOCUS_HOPS = 5;
+let graphFocus = null;
+
+// Graph editing: the displayed event is edited in place (currentData) while edit mode
+// is on; undo/redo keep snapshots of the event data
+const EDITOR_NAME_STORAGE_KEY = 'kg_editor_name';
+const EDIT_RELATIONS = ['causes', 'prevents'];
+const MAX_EDIT_UNDO = 50;
+const MAX_CITATION_MATCHES = 8;
+let graphEditMode = false;
+let graphEditState = null;
+
+// Record shown in the edge/node modal, for actions started from inside the modal
+let currentModalEdge = null;
+let currentModalNode = null;
+
 // RAG Components
-let embedder = null;
 let embeddingsData = null;
 let currentEventId = null;
 
+// Query encoders, keyed by the `model` declared in an embeddings file header.
+// `encoder` is the transformers.js checkpoint used to embed the query. Octen-Embedding-0.6B
+// is a fine-tune of Qwen3-Embedding-0.6B (same tokenizer, last-token pooling, 1024-d output)
+// and has no browser export, so its Qwen3 base is declared as the compatible encoder.
+const EMBEDDER_REGISTRY = {
+    'Octen/Octen-Embedding-0.6B': {
+        encoder: 'onnx-community/Qwen3-Embedding-0.6B-ONNX',
+        dimension: 1024,
+        pooling: 'last_token',
+        queryPrefix: 'Instruct: Given a question about a disaster event, retrieve news passages that answer the question\nQuery: ',
+        options: { dtype: 'q8' }
+    },
+    'BAAI/bge-small-en-v1.5': {
+        encoder: 'Xenova/bge-small-en-v1.5',
+        dimension: 384,
+        pooling: 'mean',
+        queryPrefix: '',
+        options: {}
+    }
+};
+
+// Embeddings files written before the header existed were built with bge-small
+const DEFAULT_EMBEDDING_MODEL = 'BAAI/bge-small-en-v1.5';
+
+// One loading/loaded pipeline promise per embedding model
+const embedderCache = new Map();
+
+// Aborts the in-flight answer stream when the Stop button is pressed
+let activeQueryController = null;
+
+// Pending embeddings download, shared by the event prefetch and the query flow
+let embeddingsLoading = null;
+
+// Merged embeddings of every event in index.json, used by cross-event search
+const GLOBAL_EVENT_ID = '__all_events__';
+let globalEmbeddingsLoading = null;
+// Slices of the merged corpus for merged hazard views, by merged DisNo
+const hazardEmbeddings = new Map();
+
+// BM25 parameters and reciprocal-rank-fusion constant for hybrid retrieval
+const BM25_K1 = 1.5;
+const BM25_B = 0.75;
+const RRF_K = 60;
+
+// Passage windows (in words) used for retrieval and citation; consecutive passages overlap
+const PASSAGE_WORDS = 150;
+const PASSAGE_OVERLAP_WORDS = 40;
+// Shortlisted passages embedded per query, and how many go through the encoder at once
+const PASSAGE_RERANK_LIMIT = 12;
+const PASSAGE_EMBED_BATCH = 4;
+
+const LEXICAL_STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'did', 'do', 'for', 'from', 'has', 'have',
+    'how', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were',
+    'what', 'when', 'where', 'which', 'who', 'why', 'with'
+]);
+
+// LLM providers selectable from the query panel. `api` picks the request/response
+// adapter in LLM_APIS; every other field is a default the user can override.
+const LLM_PROVIDERS = {
+    openai: {
+        label: 'OpenAI',
+        api: 'openai-chat',
+        baseUrl: 'https://api.openai.com/v1',
+        model: 'gpt-4o',
+        authScheme: 'bearer'
+    },
+    local: {
+        label: 'Local OpenAI-compatible (llama.cpp / Ollama)',
+        api: 'openai-chat',
+        baseUrl: 'http://localhost:11434/v1',
+        model: 'llama3.1',
+        authScheme: 'none'
+    },
+    anthropic: {
+        label: 'Anthropic',
+        api: 'anthropic-messages',
+        baseUrl: 'https://api.anthropic.com/v1',
+        model: 'claude-sonnet-4-5',
+        authScheme: 'x-api-key'
+    },
+    custom: {
+        label: 'Custom OpenAI-compatible',
+        api: 'openai-chat',
+        baseUrl: '',
+        model: '',
+        authScheme: 'bearer'
+    }
+};
+
+const DEFAULT_LLM_PROVIDER = 'openai';
+const LLM_SETTINGS_STORAGE_KEY = 'llm_provider_settings';
+
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', function() {
-    loadEventsIndex();
+    loadEventsIndex().then(restoreViewState);
     initializeEventSelector();
     initializeModals();
     initializeNodeToggle();
+    initializeEvidenceScheme();
+    initializeGraphLayout();
+    initializeHazardMerge();
+    initializeComparison();
+    initializeEntityResolution();
+    initializePathExplorer();
+    initializeGraphExport();
+    initializePatternQuery();
+    initializeGroundingChecks();
+    initializeAnswerReviews();
+    initializeTimeline();
+    initializeMapPanel();
+    initializeArticleBrowser();
+    initializeGraphFilters();
+    initializeStorylinePanel();
+    initializeGraphEditor();
     initializeQueryPanel();
+    initializeViewState();
 });
 
 // ============================================================================
@@ -36,6 +299,7 @@ async function initializeQueryPanel() {
     // Toggle panel visibility
     toggleBtn.addEventListener('click', () => {
         queryPanel.style.display = queryPanel.style.display === 'none' ? 'block' : 'none';
+        if (queryPanel.style.display === 'block') refreshChatSessions();
     });
 
     closeBtn.addEventListener('click', () => {
@@ -53,6 +317,9 @@ async function initializeQueryPanel() {
         }
     });
 
+    initializeProviderSettings();
+    initializeChatSessions();
+
     // Load API key from session storage
     const savedApiKey = sessionStorage.getItem('openai_api_key');
     if (savedApiKey) {
@@ -67,6 +334,25 @@ async function initializeQueryPanel() {
     // Submit query
     submitBtn.addEventListener('click', handleCustomQuery);
 
+    // Cross-event mode lists the outlets of every event in the source filter
+    document.getElementById('searchAllEvents').addEventListener('change', function() {
+        const corpusLoading = this.checked
+            ? ensureGlobalEmbeddings()
+            : Promise.resolve(embeddingsData);
+
+        corpusLoading
+            .then(corpus => populateRetrievalFilters(corpus || { documents: [] }))
+            .catch(error => console.warn('Embeddings prefetch failed:', error.message));
+        refreshChatSessions();
+    });
+
+    // Stop streaming the current answer
+    document.getElementById('stopQuery').addEventListener('click', () => {
+        if (activeQueryController) {
+            activeQueryController.abort();
+        }
+    });
+
     // Allow Enter key in textarea (with Ctrl/Cmd)
     document.getElementById('userQuery').addEventListener('keydown', (e) => {
         if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
@@ -76,15 +362,17 @@ async function initializeQueryPanel() {
 }
 
 async function handleCustomQuery() {
-    const apiKey = document.getElementById('apiKey').value.trim();
+    const llmConfig = getLlmConfig();
     const query = document.getElementById('userQuery').value.trim();
     const statusDiv = document.getElementById('queryStatus');
     const resultsDiv = document.getElementById('queryResults');
     const submitBtn = document.getElementById('submitQuery');
+    const stopBtn = document.getElementById('stopQuery');
 
     // Validation
-    if (!apiKey) {
-        statusDiv.innerHTML = '<span style="color: #e74c3c;">⚠️ Please enter your OpenAI API key</span>';
+    const configError = llmConfigError(llmConfig);
+    if (configError) {
+        statusDiv.innerHTML = `<span style="color: #e74c3c;">⚠️ ${escapeHtml(configError)}</span>`;
         return;
     }
 
@@ -93,11 +381,23 @@ async function handleCustomQuery() {
         return;
     }
 
-    if (!currentEventId) {
-        statusDiv.innerHTML = '<span style="color: #e74c3c;">⚠️ Please select an event first</span>';
+    const searchAll = document.getElementById('searchAllEvents').checked;
+    if (!currentEventId && !searchAll) {
+        statusDiv.innerHTML = '<span style="color: #e74c3c;">⚠️ Please select an event first, or search across all events</span>';
+        return;
+    }
+
+    if (activeQueryController) {
         return;
     }
 
+    // Follow-ups continue the open conversation of this event (or of all events)
+    const scopeId = searchAll ? GLOBAL_EVENT_ID : currentEventId;
+    if (!activeChatSession || activeChatSession.eventId !== scopeId) {
+        activeChatSession = createChatSession(scopeId);
+    }
+    const session = activeChatSession;
+
     // Show loading state
     submitBtn.querySelector('.btn-text').style.display = 'none';
     submitBtn.querySelector('.btn-loading').style.display = 'inline-flex';
@@ -105,45 +405,124 @@ async function handleCustomQuery() {
     statusDiv.innerHTML = '';
     resultsDiv.style.display = 'none';
 
+    const controller = new AbortController();
+    activeQueryController = controller;
+
     try {
-        // Step 1: Load embedder if not already loaded
-        if (!embedder) {
-            statusDiv.innerHTML = '<span style="color: #3498db;">📦 Loading embedding model (first time only)...</span>';
-            embedder = await pipeline('feature-extraction', 'Xenova/bge-small-en-v1.5');
-            console.log('✅ Embedder loaded');
+        // Step 0: Rewrite a follow-up into a standalone question using earlier turns
+        let searchQuery = query;
+        if (session.turns.length > 0) {
+            statusDiv.innerHTML = '<span style="color: #3498db;">✏️ Rewriting follow-up question...</span>';
+            searchQuery = await rewriteFollowUpQuery(query, session.turns, llmConfig, controller.signal);
+            console.log(`Follow-up rewritten as: ${searchQuery}`);
         }
 
-        // Step 2: Load embeddings if not already loaded or if event changed
-        if (!embeddingsData || embeddingsData.eventId !== currentEventId) {
-            statusDiv.innerHTML = '<span style="color: #3498db;">📊 Loading document embeddings...</span>';
-            embeddingsData = await loadEmbeddings(currentEventId);
-            console.log(`✅ Loaded ${embeddingsData.documents.length} documents`);
+        // Step 1: Load embeddings for the selected event, or for every event
+        let corpus;
+        if (searchAll) {
+            statusDiv.innerHTML = `<span style="color: #3498db;">📊 Loading document embeddings for ${eventsIndex.length} events...</span>`;
+            corpus = await ensureGlobalEmbeddings();
+        } else {
+            if (!embeddingsData || embeddingsData.eventId !== currentEventId) {
+                statusDiv.innerHTML = '<span style="color: #3498db;">📊 Loading document embeddings...</span>';
+            }
+            corpus = await ensureEmbeddings(currentEventId);
         }
 
-        // Step 3: Retrieve relevant documents
+        // Step 2: Load the query encoder matching the embeddings file's model
+        await getQueryEncoder(corpus, (spec) => {
+            statusDiv.innerHTML = `<span style="color: #3498db;">📦 Loading embedding model ${escapeHtml(spec.encoder)} (first time only)...</span>`;
+        });
+
+        // Step 3: Retrieve relevant passages
         statusDiv.innerHTML = '<span style="color: #3498db;">🔍 Searching relevant documents...</span>';
-        const retrievedDocs = await retrieveDocuments(query, embeddingsData, 10);
-        console.log(`✅ Retrieved ${retrievedDocs.length} documents`);
+        stopBtn.style.display = 'inline-block';
+        let retrievedDocs = await retrievePassages(searchQuery, corpus, {
+            ...getRetrievalOptions(),
+            signal: controller.signal
+        });
+        console.log(`✅ Retrieved ${retrievedDocs.length} passages`);
+
+        // Step 3b: Add the displayed graph's matching nodes and neighbouring triples
+        let graphContext = null;
+        if (document.getElementById('useGraphContext').checked && graphElements.edges.length > 0) {
+            statusDiv.innerHTML = '<span style="color: #3498db;">🕸️ Matching question to graph nodes...</span>';
+            graphContext = await buildGraphContext(searchQuery, await getGroundingEncoder(corpus));
+            retrievedDocs = graphContext.docs.concat(retrievedDocs);
+            console.log(`✅ Added ${graphContext.docs.length} knowledge graph sources`);
+        }
 
-        // Step 4: Generate answer with OpenAI
-        statusDiv.innerHTML = '<span style="color: #3498db;">🤖 Generating answer with citations...</span>';
-        const result = await generateAnswerWithCitations(query, retrievedDocs, apiKey);
+        // Step 4: Stream the answer from the selected LLM provider
+        statusDiv.innerHTML = `<span style="color: #3498db;">🤖 Generating answer with ${escapeHtml(llmConfig.model)}...</span>`;
+        startStreamingAnswer();
+        const result = await generateAnswerWithCitations(searchQuery, retrievedDocs, llmConfig, {
+            signal: controller.signal,
+            onToken: (partialAnswer) => renderStreamingAnswer(partialAnswer, retrievedDocs)
+        });
         
-        // Step 5: Display results
+        // Step 5: Display results with renumbered citations
         displayQueryResults(result, retrievedDocs);
-        statusDiv.innerHTML = '<span style="color: #2ecc71;">✅ Answer generated successfully!</span>';
+
+        // Step 6: Check that each sentence is supported by the passages it cites. A failed
+        // check leaves the answer unmarked instead of failing the query.
+        statusDiv.innerHTML = '<span style="color: #3498db;">🔎 Checking citation grounding...</span>';
+        let groundingError = null;
+        try {
+            result.grounding = await checkAnswerGrounding(result.answer, result.citations, await getGroundingEncoder(corpus));
+            renderGroundedAnswer(document.getElementById('answerBox'), document.getElementById('answerGrounding'), result.answer, result.citations, result.grounding);
+        } catch (error) {
+            console.warn('Citation grounding check failed:', error);
+            result.grounding = null;
+            groundingError = error;
+        }
+
+        if (graphContext) {
+            highlightGraphCitations(result.citations, graphContext.seedIds);
+        }
+
+        // Step 7: Append the turn to the conversation history
+        await recordChatTurn(session, query, searchQuery, result);
+        document.getElementById('userQuery').value = '';
+        lastViewQuery = query;
+        updateViewHash({ push: true });
+
+        if (result.stopped) {
+            statusDiv.innerHTML = '<span style="color: #f39c12;">⏹ Stopped - showing the partial answer</span>';
+        } else if (groundingError) {
+            statusDiv.innerHTML = `<span style="color: #f39c12;">⚠️ Answer generated, but the citation check failed: ${escapeHtml(groundingError.message)}</span>`;
+        } else {
+            statusDiv.innerHTML = '<span style="color: #2ecc71;">✅ Answer generated successfully!</span>';
+        }
 
     } catch (error) {
-        console.error('Error processing query:', error);
-        statusDiv.innerHTML = `<span style="color: #e74c3c;">❌ Error: ${error.message}</span>`;
+        if (error.name === 'AbortError') {
+            statusDiv.innerHTML = '<span style="color: #f39c12;">⏹ Stopped before the answer started</span>';
+        } else {
+            console.error('Error processing query:', error);
+            statusDiv.innerHTML = `<span style="color: #e74c3c;">❌ Error: ${escapeHtml(error.message)}</span>`;
+        }
     } finally {
         // Reset button state
+        activeQueryController = null;
+        document.getElementById('answerBox').classList.remove('streaming');
+        stopBtn.style.display = 'none';
         submitBtn.querySelector('.btn-text').style.display = 'inline';
         submitBtn.querySelector('.btn-loading').style.display = 'none';
         submitBtn.disabled = false;
     }
 }
 
+// Why the provider settings cannot be used yet, or '' when they are complete
+function llmConfigError(llmConfig) {
+    if (!llmConfig.apiKey && llmConfig.authScheme !== 'none') {
+        return `Please enter your ${llmConfig.label} API key`;
+    }
+    if (!llmConfig.baseUrl || !llmConfig.model) {
+        return 'Please set the provider base URL and model';
+    }
+    return '';
+}
+
 async function loadEmbeddings(eventId) {
     try {
         const response = await fetch(`embeddings/${eventId}_embeddings.json`);
@@ -158,31 +537,427 @@ async function loadEmbeddings(eventId) {
     }
 }
 
-async function retrieveDocuments(query, embeddingsData, topK = 10) {
-    // Generate query embedding
-    const output = await embedder(query, { pooling: 'mean', normalize: true });
-    const queryEmbedding = Array.from(output.data);
+// Look up the registry entry for an embeddings file and check its declared dimension
+// against both the encoder and the stored document vectors
+function resolveEmbeddingModel(data) {
+    const model = data.model || DEFAULT_EMBEDDING_MODEL;
+    const spec = EMBEDDER_REGISTRY[model];
+    if (!spec) {
+        throw new Error(`No query encoder is registered for embedding model "${model}"`);
+    }
 
-    // Compute cosine similarities
-    const scores = embeddingsData.embeddings.map(docEmbedding => 
-        cosineSimilarity(queryEmbedding, docEmbedding)
-    );
+    const fileDimension = data.dimension || (data.embeddings[0] || []).length;
+    if (fileDimension !== spec.dimension) {
+        throw new Error(`Embeddings file declares ${fileDimension}-d vectors but ${model} produces ${spec.dimension}-d vectors`);
+    }
+
+    const badIndex = data.embeddings.findIndex(vec => vec.length !== fileDimension);
+    if (badIndex !== -1) {
+        throw new Error(`Document ${badIndex} has a ${data.embeddings[badIndex].length}-d embedding, expected ${fileDimension}-d`);
+    }
+
+    return { model, ...spec };
+}
+
+// Load (once per model) the query encoder for an embeddings file
+async function getQueryEncoder(data, onLoading) {
+    const spec = resolveEmbeddingModel(data);
+
+    if (!embedderCache.has(spec.model)) {
+        if (onLoading) onLoading(spec);
+        const loading = pipeline('feature-extraction', spec.encoder, spec.options)
+            .then(extractor => {
+                console.log(`✅ Embedder loaded: ${spec.encoder} for ${spec.model}`);
+                return extractor;
+            })
+            .catch(error => {
+                // Allow a retry on the next query instead of caching the failure
+                embedderCache.delete(spec.model);
+                throw new Error(`Could not load query encoder ${spec.encoder}: ${error.message}`);
+            });
+        embedderCache.set(spec.model, loading);
+    }
+
+    const extractor = await embedderCache.get(spec.model);
+    return { ...spec, extractor };
+}
+
+// Embed `text` with the encoder's retrieval instruction, or with `prefix` ('' for
+// symmetric comparisons such as node labels)
+async function embedQuery(encoder, text, prefix = encoder.queryPrefix) {
+    const output = await encoder.extractor(prefix + text, {
+        pooling: encoder.pooling,
+        normalize: true
+    });
+    const vector = Array.from(output.data);
+
+    if (vector.length !== encoder.dimension) {
+        throw new Error(`Query encoder ${encoder.encoder} returned ${vector.length}-d vectors, expected ${encoder.dimension}-d`);
+    }
+    return vector;
+}
+
+// Embed passage texts, without the query instruction, in a single encoder call
+async function embedPassages(encoder, texts) {
+    const output = await encoder.extractor(texts, {
+        pooling: encoder.pooling,
+        normalize: true
+    });
+
+    if (output.data.length !== texts.length * encoder.dimension) {
+        throw new Error(`Query encoder ${encoder.encoder} returned ${output.data.length / texts.length}-d vectors, expected ${encoder.dimension}-d`);
+    }
+    return texts.map((_, i) => Array.from(output.data.slice(i * encoder.dimension, (i + 1) * encoder.dimension)));
+}
+
+// Load the embeddings for an event once, sharing the download between callers
+async function ensureEmbeddings(eventId) {
+    if (embeddingsData && embeddingsData.eventId === eventId) {
+        return embeddingsData;
+    }
+
+    if (!embeddingsLoading || embeddingsLoading.eventId !== eventId) {
+        const promise = loadEmbeddings(eventId).catch(error => {
+            embeddingsLoading = null;
+            throw error;
+        });
+        embeddingsLoading = { eventId, promise };
+    }
+
+    const data = await embeddingsLoading.promise;
+    if (eventId === currentEventId) {
+        embeddingsData = data;
+        console.log(`✅ Loaded ${data.documents.length} documents`);
+    }
+    return data;
+}
+
+// Load every event's embeddings once and merge them into a single corpus. Articles
+// filed under several events (same `guid`) are kept once and tagged with all of them.
+async function ensureGlobalEmbeddings() {
+    if (!globalEmbeddingsLoading) {
+        globalEmbeddingsLoading = Promise.all(eventsIndex.map(event =>
+            loadEmbeddings(event.DisNo)
+                .then(data => ({ event, data }))
+                .catch(error => {
+                    console.warn(`Skipping ${event.DisNo} in cross-event search:`, error.message);
+                    return null;
+                })
+        ))
+            .then(results => mergeEmbeddingCorpora(results.filter(Boolean)))
+            .catch(error => {
+                globalEmbeddingsLoading = null;
+                throw error;
+            });
+    }
+    return globalEmbeddingsLoading;
+}
+
+// The merged corpus restricted to the events of a merged hazard view, so retrieval
+// for one hazard cannot cite articles about other disasters
+async function ensureHazardEmbeddings(data) {
+    const corpus = await ensureGlobalEmbeddings();
+    if (!hazardEmbeddings.has(data.DisNo)) {
+        const siblings = new Set(data.mergedFrom.map(event => event.DisNo));
+        const indices = corpus.documents
+            .map((doc, idx) => idx)
+            .filter(idx => corpus.documents[idx].events.some(event => siblings.has(event.DisNo)));
+
+        hazardEmbeddings.set(data.DisNo, {
+            eventId: data.DisNo,
+            model: corpus.model,
+            dimension: corpus.dimension,
+            documents: indices.map(idx => corpus.documents[idx]),
+            embeddings: indices.map(idx => corpus.embeddings[idx]),
+            n_documents: indices.length
+        });
+    }
+    return hazardEmbeddings.get(data.DisNo);
+}
+
+function mergeEmbeddingCorpora(corpora) {
+    if (corpora.length === 0) {
+        throw new Error('Could not load embeddings for any event');
+    }
+
+    const models = new Set(corpora.map(({ data }) => data.model || DEFAULT_EMBEDDING_MODEL));
+    if (models.size > 1) {
+        throw new Error(`Events were embedded with different models (${Array.from(models).join(', ')}), so they cannot be searched together`);
+    }
+
+    const merged = {
+        eventId: GLOBAL_EVENT_ID,
+        model: corpora[0].data.model,
+        dimension: corpora[0].data.dimension,
+        documents: [],
+        embeddings: []
+    };
+    const indexByGuid = new Map();
+
+    corpora.forEach(({ event, data }) => {
+        const label = { DisNo: event.DisNo, country: event.country };
+
+        data.documents.forEach((doc, idx) => {
+            const key = doc.metadata?.guid || doc.metadata?.url || `${event.DisNo}:${idx}`;
+
+            if (indexByGuid.has(key)) {
+                const events = merged.documents[indexByGuid.get(key)].events;
+                if (!events.some(e => e.DisNo === event.DisNo)) events.push(label);
+                return;
+            }
+
+            indexByGuid.set(key, merged.documents.length);
+            merged.documents.push({ ...doc, events: [label] });
+            merged.embeddings.push(data.embeddings[idx]);
+        });
+    });
+
+    merged.n_documents = merged.documents.length;
+    console.log(`✅ Merged ${merged.n_documents} unique documents from ${corpora.length} events`);
+    return merged;
+}
+
+// "2017-0381-HTI (Haiti)" labels for the events an article was filed under
+function formatEventLabels(events) {
+    return (events || []).map(event => `${event.DisNo} (${event.country})`);
+}
+
+// Read top-K, retrieval mode and metadata filters from the query panel
+function getRetrievalOptions() {
+    const topK = parseInt(document.getElementById('retrievalTopK').value);
+    return {
+        topK: topK > 0 ? topK : 10,
+        mode: document.getElementById('retrievalMode').value,
+        filters: {
+            source: document.getElementById('filterSource').value,
+            dateFrom: document.getElementById('filterDateFrom').value,
+            dateTo: document.getElementById('filterDateTo').value
+        }
+    };
+}
+
+// Refill the source filter with the outlets present in the loaded embeddings
+function populateRetrievalFilters(data) {
+    const select = document.getElementById('filterSource');
+    const sources = new Set(data.documents.map(doc => doc.metadata?.source).filter(Boolean));
+
+    select.innerHTML = '<option value="">All sources</option>';
+    Array.from(sources).sort().forEach(source => {
+        const option = document.createElement('option');
+        option.value = source;
+        option.textContent = source;
+        select.appendChild(option);
+    });
+}
+
+function matchesRetrievalFilters(doc, filters) {
+    const metadata = doc.metadata || {};
+    const pubdate = (metadata.pubdate || '').slice(0, 10);
+
+    if (filters.source && metadata.source !== filters.source) return false;
+    if (filters.dateFrom && (!pubdate || pubdate < filters.dateFrom)) return false;
+    if (filters.dateTo && (!pubdate || pubdate > filters.dateTo)) return false;
+    return true;
+}
+
+// Rank documents by dense similarity, BM25, or their reciprocal-rank fusion
+async function retrieveDocuments(query, embeddingsData, { topK = 10, mode = 'hybrid', filters = {} } = {}) {
+    const candidates = [];
+    embeddingsData.documents.forEach((doc, idx) => {
+        if (matchesRetrievalFilters(doc, filters)) candidates.push(idx);
+    });
+
+    if (candidates.length === 0) {
+        throw new Error('No documents match the selected source and date filters');
+    }
+
+    const vectorScores = {};
+    const lexicalScores = {};
+    const rankings = [];
+
+    if (mode !== 'lexical') {
+        // Generate query embedding with the encoder matching the file's model
+        const encoder = await getQueryEncoder(embeddingsData);
+        const queryEmbedding = await embedQuery(encoder, query);
+
+        candidates.forEach(idx => {
+            vectorScores[idx] = cosineSimilarity(queryEmbedding, embeddingsData.embeddings[idx]);
+        });
+        rankings.push(rankByScore(candidates, vectorScores));
+    }
 
-    // Get top-k indices
-    const indexedScores = scores.map((score, idx) => ({ score, idx }));
-    indexedScores.sort((a, b) => b.score - a.score);
-    const topIndices = indexedScores.slice(0, topK).map(item => item.idx);
+    if (mode !== 'vector') {
+        if (!embeddingsData.bm25Index) {
+            embeddingsData.bm25Index = buildBm25Index(embeddingsData.documents);
+        }
+        const scores = scoreBm25(embeddingsData.bm25Index, query);
+
+        candidates.forEach(idx => {
+            lexicalScores[idx] = scores[idx];
+        });
+        // Documents sharing no query term get no lexical rank at all
+        const matching = candidates.filter(idx => scores[idx] > 0);
+        if (mode === 'lexical' && matching.length === 0) {
+            throw new Error('No documents match the query terms');
+        }
+        rankings.push(rankByScore(matching, lexicalScores));
+    }
+
+    const fused = reciprocalRankFusion(rankings);
+    const topIndices = rankByScore(Object.keys(fused).map(Number), fused).slice(0, topK);
 
     // Return top documents with scores
     return topIndices.map((idx, rank) => ({
+        docIndex: idx,
         content: embeddingsData.documents[idx].content,
         metadata: embeddingsData.documents[idx].metadata,
-        score: scores[idx],
+        events: embeddingsData.documents[idx].events,
+        score: fused[idx],
+        vectorScore: vectorScores[idx],
+        lexicalScore: lexicalScores[idx],
+        sourceId: rank + 1
+    }));
+}
+
+// Rank passages by fusing their parent article's rank with passage-level scores: BM25
+// unless the mode is vector-only, and, unless it is lexical-only, the similarity of the
+// query to a shortlist of embedded passages. `signal` stops the embedding between batches.
+async function retrievePassages(query, embeddingsData, { topK = 10, mode = 'hybrid', filters = {}, signal } = {}) {
+    const rankedDocs = await retrieveDocuments(query, embeddingsData, { topK: Infinity, mode, filters });
+
+    if (!embeddingsData.passages) {
+        embeddingsData.passages = chunkDocuments(embeddingsData.documents);
+        embeddingsData.passageBm25Index = buildBm25Index(embeddingsData.passages);
+        embeddingsData.passageEmbeddings = {};
+    }
+    const passages = embeddingsData.passages;
+
+    const docRank = {};
+    rankedDocs.forEach((doc, rank) => {
+        docRank[doc.docIndex] = rank;
+    });
+
+    const candidates = [];
+    passages.forEach((passage, idx) => {
+        if (passage.docIndex in docRank) candidates.push(idx);
+    });
+
+    const lexicalScores = scoreBm25(embeddingsData.passageBm25Index, query);
+    const lexical = rankByScore(candidates.filter(idx => lexicalScores[idx] > 0), lexicalScores);
+    const byArticle = (scores) => [...candidates].sort((a, b) =>
+        docRank[passages[a].docIndex] - docRank[passages[b].docIndex] ||
+        (scores[b] || 0) - (scores[a] || 0) ||
+        a - b
+    );
+
+    const rankings = [];
+    if (mode !== 'vector') rankings.push(lexical);
+
+    if (mode !== 'lexical') {
+        // Only a shortlist is embedded: the encoder runs in the browser
+        const shortlistScores = reciprocalRankFusion([byArticle(lexicalScores), lexical]);
+        const shortlist = rankByScore(candidates, shortlistScores).slice(0, PASSAGE_RERANK_LIMIT);
+
+        const encoder = await getQueryEncoder(embeddingsData);
+        const queryEmbedding = await embedQuery(encoder, query);
+        const missing = shortlist.filter(idx => !embeddingsData.passageEmbeddings[idx]);
+
+        for (let first = 0; first < missing.length; first += PASSAGE_EMBED_BATCH) {
+            signal?.throwIfAborted();
+            const batch = missing.slice(first, first + PASSAGE_EMBED_BATCH);
+            const vectors = await embedPassages(encoder, batch.map(idx => passages[idx].content));
+            batch.forEach((idx, i) => {
+                embeddingsData.passageEmbeddings[idx] = vectors[i];
+            });
+        }
+        signal?.throwIfAborted();
+
+        const vectorScores = {};
+        shortlist.forEach(idx => {
+            vectorScores[idx] = cosineSimilarity(queryEmbedding, embeddingsData.passageEmbeddings[idx]);
+        });
+        rankings.push(rankByScore(shortlist, vectorScores));
+    }
+
+    // Passages of better-ranked articles first, best-scoring passage first within each one
+    rankings.push(byArticle(reciprocalRankFusion(rankings)));
+
+    const fused = reciprocalRankFusion(rankings);
+    const topIndices = rankByScore(Object.keys(fused).map(Number), fused).slice(0, topK);
+
+    return topIndices.map((idx, rank) => ({
+        ...passageDoc(embeddingsData, passages[idx], fused[idx]),
         sourceId: rank + 1
     }));
 }
 
+// A retrieved passage with its parent article's metadata and offsets into the article
+function passageDoc(corpus, passage, score) {
+    const parent = corpus.documents[passage.docIndex];
+    return {
+        docIndex: passage.docIndex,
+        content: passage.content,
+        metadata: parent.metadata,
+        events: parent.events,
+        score: score,
+        passage: {
+            start: passage.start,
+            end: passage.end,
+            article: parent.content
+        }
+    };
+}
+
+// Split each article into overlapping word windows, keeping character offsets into the
+// parent content so a passage can be highlighted in place
+function chunkDocuments(documents) {
+    const stride = PASSAGE_WORDS - PASSAGE_OVERLAP_WORDS;
+    const passages = [];
+
+    documents.forEach((doc, docIndex) => {
+        const words = Array.from(doc.content.matchAll(/\S+/g));
+        if (words.length === 0) return;
+
+        for (let first = 0; first < words.length; first += stride) {
+            const last = Math.min(first + PASSAGE_WORDS, words.length) - 1;
+            const start = words[first].index;
+            const end = words[last].index + words[last][0].length;
+
+            passages.push({
+                docIndex,
+                start,
+                end,
+                content: doc.content.slice(start, end),
+                metadata: doc.metadata
+            });
+
+            if (last === words.length - 1) break;
+        }
+    });
+
+    return passages;
+}
+
+function rankByScore(indices, scores) {
+    return [...indices].sort((a, b) => scores[b] - scores[a]);
+}
+
+// Fuse ranked lists of document indices: score = sum of 1 / (RRF_K + rank)
+function reciprocalRankFusion(rankings) {
+    const fused = {};
+    rankings.forEach(ranking => {
+        ranking.forEach((idx, rank) => {
+            fused[idx] = (fused[idx] || 0) + 1 / (RRF_K + rank + 1);
+        });
+    });
+    return fused;
+}
+
 function cosineSimilarity(vecA, vecB) {
+    if (vecA.length !== vecB.length) {
+        throw new Error(`Cannot compare ${vecA.length}-d and ${vecB.length}-d vectors`);
+    }
+
     let dotProduct = 0;
     let normA = 0;
     let normB = 0;
@@ -196,7 +971,9 @@ function cosineSimilarity(vecA, vecB) {
     return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
 }
 
-async function generateAnswerWithCitations(query, retrievedDocs, apiKey) {
+// Generate a cited answer. `onToken` receives the accumulated raw answer while it streams;
+// aborting `signal` keeps whatever has arrived and marks the result as stopped.
+async function generateAnswerWithCitations(query, retrievedDocs, llmConfig, { signal, onToken } = {}) {
     // Format context with sources (matching Python format)
     const context = retrievedDocs.map((doc, idx) => {
         let text = `Source ${idx + 1}:\n`;
@@ -206,6 +983,9 @@ async function generateAnswerWithCitations(query, retrievedDocs, apiKey) {
         if (doc.metadata.url) {
             text += `URL: ${doc.metadata.url}\n`;
         }
+        if (doc.events) {
+            text += `Events: ${formatEventLabels(doc.events).join('; ')}\n`;
+        }
         text += `Content: ${doc.content}\n`;
         return text;
     }).join('\n');
@@ -231,32 +1011,12 @@ ${query}
 
 **Short Answer (2-3 sentences with citations):**`;
 
-    // Call OpenAI API
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify({
-            model: 'gpt-4o',
-            temperature: 0,
-            messages: [
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ]
-        })
-    });
-
-    if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error?.message || 'OpenAI API request failed');
-    }
-
-    const data = await response.json();
-    const answer = data.choices[0].message.content;
+    const { text: answer, stopped } = await streamChatCompletion(llmConfig, [
+        {
+            role: 'user',
+            content: prompt
+        }
+    ], { signal, onToken });
 
     // Extract citations from answer
     const citations = extractCitations(answer, retrievedDocs);
@@ -270,7 +1030,8 @@ ${query}
     return {
         answer: renumberedAnswer,
         citations: reorderedCitations,
-        rawAnswer: answer
+        rawAnswer: answer,
+        stopped: stopped
     };
 }
 
@@ -290,198 +1051,5068 @@ function extractCitations(answer, retrievedDocs) {
             citations.push({
                 source_id: sourceNum,
                 content: doc.content,
-                metadata: doc.metadata
+                metadata: doc.metadata,
+                ...(doc.passage ? { passage: doc.passage } : {}),
+                ...(doc.events ? { events: doc.events } : {}),
+                ...(doc.graph ? { graph: doc.graph } : {})
             });
         }
     });
 
-    return citations;
+    return citations;
+}
+
+function renumberCitations(answer) {
+    const citationPattern = /\[(\d+)\]/g;
+    const citationsFound = [];
+    let match;
+
+    while ((match = citationPattern.exec(answer)) !== null) {
+        citationsFound.push(parseInt(match[1]));
+    }
+
+    const oldToNew = {};
+    let newCounter = 1;
+
+    citationsFound.forEach(oldNum => {
+        if (!(oldNum in oldToNew)) {
+            oldToNew[oldNum] = newCounter++;
+        }
+    });
+
+    const renumberedAnswer = answer.replace(citationPattern, (match, oldNum) => {
+        const num = parseInt(oldNum);
+        return `[${oldToNew[num] || num}]`;
+    });
+
+    return { renumberedAnswer, mapping: oldToNew };
+}
+
+function reorderCitations(citations, mapping) {
+    const newCitations = new Array(Object.keys(mapping).length);
+
+    citations.forEach(citation => {
+        const oldId = citation.source_id;
+        if (oldId in mapping) {
+            const newId = mapping[oldId];
+            const newCitation = { ...citation, source_id: newId };
+            newCitations[newId - 1] = newCitation;
+        }
+    });
+
+    return newCitations.filter(c => c !== undefined);
+}
+
+function displayQueryResults(result, retrievedDocs) {
+    const resultsDiv = document.getElementById('queryResults');
+    const answerBox = document.getElementById('answerBox');
+    const retrievedDocsSection = document.getElementById('retrievedDocsSection');
+    const retrievedDocsDiv = document.getElementById('retrievedDocs');
+    const sourceCount = document.getElementById('sourceCount');
+
+    // Display answer with clickable citations
+    answerBox.innerHTML = processCitationsInText(
+        escapeHtml(result.answer),
+        result.citations
+    );
+    bindCitationSpans(answerBox, result.citations);
+    document.getElementById('answerGrounding').style.display = 'none';
+
+    // Display retrieved documents
+    if (result.citations.length > 0) {
+        retrievedDocsSection.style.display = 'block';
+        sourceCount.textContent = result.citations.length;
+
+        retrievedDocsDiv.innerHTML = result.citations.map((cit, idx) => {
+            const title = cit.metadata?.title || 'No title';
+            const content = cit.content ? cit.content.substring(0, 200) + '...' : 'No content';
+
+            const eventTags = formatEventLabels(cit.events)
+                .map(label => `<span class="event-tag">${escapeHtml(label)}</span>`)
+                .join('');
+
+            return `
+                <div class="citation-item" data-citation-index="${idx}">
+                    <span class="citation-number">[${cit.source_id}]</span>
+                    <span class="citation-text">
+                        <strong>${escapeHtml(title)}</strong><br>
+                        ${eventTags ? `${eventTags}<br>` : ''}
+                        ${escapeHtml(content)}
+                    </span>
+                </div>
+            `;
+        }).join('');
+
+        // Add click handlers to citation items
+        retrievedDocsDiv.querySelectorAll('.citation-item').forEach(item => {
+            item.addEventListener('click', function() {
+                const index = parseInt(this.getAttribute('data-citation-index'));
+                showCitationModal(result.citations[index]);
+            });
+        });
+    } else {
+        retrievedDocsSection.style.display = 'none';
+    }
+
+    resultsDiv.style.display = 'block';
+}
+
+// ============================================================================
+// LEXICAL RETRIEVAL (BM25)
+// ============================================================================
+
+// Lowercase, strip accents and split on anything that is not a letter or digit, so
+// "Port-de-Paix" and "Port de Paix" index the same way
+function tokenizeForSearch(text) {
+    return (text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(token => token && !LEXICAL_STOPWORDS.has(token));
+}
+
+// Build an in-memory BM25 index over document titles and content
+function buildBm25Index(documents) {
+    const termFrequencies = [];
+    const documentFrequency = {};
+    const lengths = [];
+
+    documents.forEach(doc => {
+        const tokens = tokenizeForSearch(`${doc.metadata?.title || ''} ${doc.content}`);
+        const tf = {};
+        tokens.forEach(token => {
+            tf[token] = (tf[token] || 0) + 1;
+        });
+        Object.keys(tf).forEach(token => {
+            documentFrequency[token] = (documentFrequency[token] || 0) + 1;
+        });
+        termFrequencies.push(tf);
+        lengths.push(tokens.length);
+    });
+
+    const totalLength = lengths.reduce((sum, len) => sum + len, 0);
+    return {
+        termFrequencies,
+        documentFrequency,
+        lengths,
+        avgLength: documents.length ? totalLength / documents.length : 0,
+        nDocuments: documents.length
+    };
+}
+
+// BM25 score of every indexed document for the query
+function scoreBm25(index, query) {
+    const queryTerms = new Set(tokenizeForSearch(query));
+
+    return index.termFrequencies.map((tf, idx) => {
+        let score = 0;
+        const lengthNorm = 1 - BM25_B + BM25_B * (index.lengths[idx] / (index.avgLength || 1));
+
+        queryTerms.forEach(term => {
+            const freq = tf[term];
+            if (!freq) return;
+            const df = index.documentFrequency[term];
+            const idf = Math.log(1 + (index.nDocuments - df + 0.5) / (df + 0.5));
+            score += idf * (freq * (BM25_K1 + 1)) / (freq + BM25_K1 * lengthNorm);
+        });
+
+        return score;
+    });
+}
+
+// Clear the previous answer and show the results area for a new stream
+function startStreamingAnswer() {
+    const answerBox = document.getElementById('answerBox');
+    answerBox.innerHTML = '';
+    answerBox.classList.add('streaming');
+    document.getElementById('answerGrounding').style.display = 'none';
+    document.getElementById('retrievedDocsSection').style.display = 'none';
+    document.getElementById('queryResults').style.display = 'block';
+}
+
+// Render the partial answer, linking citation markers to the retrieved documents
+// under their original source numbers until the stream completes
+function renderStreamingAnswer(partialAnswer, retrievedDocs) {
+    const answerBox = document.getElementById('answerBox');
+    const citations = extractCitations(partialAnswer, retrievedDocs);
+
+    answerBox.innerHTML = processCitationsInText(escapeHtml(partialAnswer), citations);
+    bindCitationSpans(answerBox, citations);
+}
+
+// Open the citation modal when a `.citation` marker inside `container` is clicked
+function bindCitationSpans(container, citations) {
+    container.querySelectorAll('.citation').forEach(span => {
+        span.addEventListener('click', function(e) {
+            e.stopPropagation();
+            const citId = parseInt(this.textContent.replace(/[\[\]]/g, ''));
+            const citation = citations.find(c => c.source_id === citId);
+            if (citation) {
+                showCitationModal(citation);
+            }
+        });
+    });
+}
+
+// ============================================================================
+// CITATION GROUNDING
+// ============================================================================
+
+function initializeGroundingChecks() {
+    document.getElementById('checkEdgeGrounding').addEventListener('click', () => {
+        if (!currentModalEdge) return;
+        runModalGrounding(currentModalEdge, 'modalAnswer', 'edgeGrounding');
+    });
+
+    document.getElementById('checkNodeGrounding').addEventListener('click', () => {
+        if (!currentModalNode) return;
+        runModalGrounding(currentModalNode, 'modalNodeAnswer', 'nodeGrounding');
+    });
+}
+
+// Check a pre-computed edge/node answer against its own citations
+async function runModalGrounding(record, answerId, summaryId) {
+    const summary = document.getElementById(summaryId);
+    summary.style.display = 'block';
+    summary.innerHTML = '🔎 Checking citation grounding...';
+
+    try {
+        const encoder = currentEventId
+            ? await getGroundingEncoder(await ensureEmbeddings(currentEventId).catch(() => null))
+            : null;
+        const answer = record.answer || '';
+        const citations = record.citations || [];
+        const report = await checkAnswerGrounding(answer, citations, encoder);
+        renderGroundedAnswer(document.getElementById(answerId), summary, answer, citations, report);
+    } catch (error) {
+        console.error('Error checking grounding:', error);
+        summary.innerHTML = `❌ Error: ${escapeHtml(error.message)}`;
+    }
+}
+
+// The query encoder of a corpus, or null (lexical checks only) if it cannot load
+async function getGroundingEncoder(corpus) {
+    if (!corpus) return null;
+    try {
+        return await getQueryEncoder(corpus);
+    } catch (error) {
+        console.warn('Grounding check without embeddings:', error.message);
+        return null;
+    }
+}
+
+// Split an answer into sentences, keeping citation markers that follow the full stop
+// ("... damage. [2]") with the sentence they close
+function splitSentences(text) {
+    const sentences = [];
+    const boundary = /([.!?])\s+(?=["'(\[]?[A-Z0-9])/g;
+    let start = 0;
+    let match;
+
+    while ((match = boundary.exec(text)) !== null) {
+        const before = text.slice(start, match.index);
+        const lastWord = (before.match(/([\w.]+)$/) || ['', ''])[1].toLowerCase();
+        if (SENTENCE_ABBREVIATIONS.has(lastWord) || /^[A-Z]$/i.test(lastWord)) continue;
+
+        sentences.push(text.slice(start, match.index + 1));
+        start = match.index + match[0].length;
+    }
+    if (start < text.length) sentences.push(text.slice(start));
+
+    // Move leading "[n]" markers back onto the previous sentence
+    for (let i = 1; i < sentences.length; i++) {
+        const leading = sentences[i].match(/^(\s*\[\d+\])+/);
+        if (leading) {
+            sentences[i - 1] += ' ' + leading[0].trim();
+            sentences[i] = sentences[i].slice(leading[0].length).trim();
+        }
+    }
+
+    return sentences.map(sentence => sentence.trim()).filter(Boolean);
+}
+
+// Numbers and capitalised words (place and organisation names) a sentence asserts
+function extractCheckableTerms(sentence) {
+    const text = sentence.replace(/\[\d+\]/g, '');
+    const numbers = (text.match(/\d+(?:[.,]\d+)*/g) || []).map(num => num.replace(/,/g, ''));
+    const names = [];
+
+    // Skip the sentence's first word, which is capitalised regardless
+    const words = text.match(/[A-Za-zÀ-ÿ][\wÀ-ÿ'-]*/g) || [];
+    words.slice(1).forEach(word => {
+        if (/^[A-ZÀ-Ý]/.test(word)) names.push(...tokenizeForSearch(word));
+    });
+
+    return { numbers: Array.from(new Set(numbers)), names: Array.from(new Set(names)) };
+}
+
+// Share of the sentence's numbers and names found in the cited text (null if it has none)
+function lexicalSupport(sentence, citedText) {
+    const { numbers, names } = extractCheckableTerms(sentence);
+    const terms = numbers.length + names.length;
+    if (terms === 0) return null;
+
+    const sourceNumbers = new Set((citedText.match(/\d+(?:[.,]\d+)*/g) || []).map(num => num.replace(/,/g, '')));
+    const sourceTokens = new Set(tokenizeForSearch(citedText));
+    const found = numbers.filter(num => sourceNumbers.has(num)).length +
+        names.filter(name => sourceTokens.has(name)).length;
+
+    return found / terms;
+}
+
+// Embed `text` without an instruction prefix, caching the vector per model
+function embedText(encoder, text) {
+    const key = `${encoder.model}\u0000${text}`;
+    if (!textEmbeddingCache.has(key)) {
+        const embedding = embedQuery(encoder, text, '').catch(error => {
+            // Let a later call retry instead of caching the failure
+            textEmbeddingCache.delete(key);
+            throw error;
+        });
+        textEmbeddingCache.set(key, embedding);
+    }
+    return textEmbeddingCache.get(key);
+}
+
+// Best similarity between the sentence and any passage-sized window of the cited text
+async function semanticSupport(encoder, sentence, citations) {
+    const sentenceVector = await embedText(encoder, sentence.replace(/\[\d+\]/g, '').trim());
+    let best = 0;
+
+    for (const citation of citations) {
+        for (const window of chunkDocuments([{ content: citation.content || '' }])) {
+            const score = cosineSimilarity(sentenceVector, await embedText(encoder, window.content));
+            best = Math.max(best, score);
+        }
+    }
+    return best;
+}
+
+// Score every sentence of `answer` against the citations it references. Sentences are
+// 'supported', 'unsupported' (cited, but the score is too low), 'uncited' (a claim with
+// no marker) or 'neutral' (too short, or admitting missing evidence).
+async function checkAnswerGrounding(answer, citations, encoder) {
+    const sentences = [];
+
+    for (const text of splitSentences(answer || '')) {
+        const citationIds = Array.from(text.matchAll(/\[(\d+)\]/g)).map(match => parseInt(match[1]));
+        const cited = citations.filter(cit => citationIds.includes(cit.source_id));
+        const wordCount = text.replace(/\[\d+\]/g, '').trim().split(/\s+/).length;
+        const sentence = { text, citationIds, status: 'neutral', score: null, semanticScore: null, lexicalScore: null };
+
+        if (wordCount < GROUNDING_MIN_WORDS || (citationIds.length === 0 && MISSING_EVIDENCE_PATTERN.test(text))) {
+            sentences.push(sentence);
+            continue;
+        }
+
+        if (cited.length === 0) {
+            sentence.status = 'uncited';
+            sentences.push(sentence);
+            continue;
+        }
+
+        const citedText = cited.map(cit => cit.content || '').join('\n');
+        sentence.lexicalScore = lexicalSupport(text, citedText);
+
+        if (encoder) {
+            sentence.semanticScore = await semanticSupport(encoder, text, cited);
+        } else {
+            // Without embeddings fall back to content-word overlap with the cited text
+            const words = tokenizeForSearch(text.replace(/\[\d+\]/g, ''));
+            const sourceTokens = new Set(tokenizeForSearch(citedText));
+            sentence.semanticScore = words.length ? words.filter(word => sourceTokens.has(word)).length / words.length : 0;
+        }
+
+        sentence.score = sentence.lexicalScore === null
+            ? sentence.semanticScore
+            : 0.6 * sentence.semanticScore + 0.4 * sentence.lexicalScore;
+        sentence.status = sentence.score >= GROUNDING_SUPPORT_THRESHOLD ? 'supported' : 'unsupported';
+        sentences.push(sentence);
+    }
+
+    const claims = sentences.filter(sentence => sentence.status !== 'neutral');
+    const supported = claims.filter(sentence => sentence.status === 'supported').length;
+
+    return {
+        sentences,
+        supported,
+        total: claims.length,
+        faithfulness: claims.length ? supported / claims.length : null,
+        method: encoder ? 'embedding + lexical' : 'lexical only'
+    };
+}
+
+// Re-render an answer sentence by sentence with its grounding status, and summarise
+// the faithfulness score in `summary`
+function renderGroundedAnswer(container, summary, answer, citations, report) {
+    const describe = (sentence) => {
+        if (sentence.status === 'uncited') return 'No citation for this claim';
+        if (sentence.status === 'neutral') return '';
+        const parts = [`support ${sentence.score.toFixed(2)}`];
+        if (sentence.semanticScore !== null) parts.push(`similarity ${sentence.semanticScore.toFixed(2)}`);
+        if (sentence.lexicalScore !== null) parts.push(`numbers/names found ${Math.round(sentence.lexicalScore * 100)}%`);
+        return `${sentence.status === 'supported' ? 'Supported' : 'Weakly supported'}: ${parts.join(', ')}`;
+    };
+
+    container.innerHTML = report.sentences.map(sentence => `
+        <span class="grounding-sentence grounding-${sentence.status}" title="${escapeHtml(describe(sentence))}">${processCitationsInText(escapeHtml(sentence.text), citations)}</span>
+    `.trim()).join(' ');
+    bindCitationSpans(container, citations);
+
+    if (report.faithfulness === null) {
+        summary.innerHTML = 'No checkable claims in this answer';
+    } else {
+        const percent = Math.round(report.faithfulness * 100);
+        const flagged = report.sentences.filter(sentence => sentence.status === 'unsupported' || sentence.status === 'uncited').length;
+        summary.innerHTML = `
+            <span class="faithfulness-score ${percent >= 80 ? 'faithfulness-high' : percent >= 50 ? 'faithfulness-medium' : 'faithfulness-low'}">Faithfulness ${percent}%</span>
+            ${report.supported}/${report.total} claims supported${flagged ? `, ${flagged} flagged` : ''} · ${escapeHtml(report.method)}
+        `;
+    }
+    summary.style.display = 'block';
+}
+
+// ============================================================================
+// GRAPH-AUGMENTED RETRIEVAL
+// ============================================================================
+
+// Nodes of the displayed graph whose label matches the query, by shared (singularised)
+// words or, with an encoder, by label/query embedding similarity
+async function matchQueryToGraphNodes(query, nodes, encoder) {
+    const queryTokens = new Set(tokenizeForSearch(query).map(singularizeWord));
+    const queryVector = encoder ? await embedText(encoder, query) : null;
+    const matches = [];
+
+    for (const node of nodes) {
+        const labelTokens = tokenizeForSearch(String(node.id)).map(singularizeWord);
+        const lexical = labelTokens.length
+            ? labelTokens.filter(token => queryTokens.has(token)).length / labelTokens.length
+            : 0;
+        const semantic = queryVector ? cosineSimilarity(queryVector, await embedText(encoder, String(node.id))) : 0;
+        const score = Math.max(lexical, semantic);
+
+        if (score >= GRAPH_MATCH_THRESHOLD) matches.push({ id: node.id, score });
+    }
+
+    return matches.sort((a, b) => b.score - a.score).slice(0, MAX_GRAPH_SEED_NODES);
+}
+
+// Sources for the matched nodes and the triples around them, each carrying its
+// pre-computed answer and the articles that answer cites
+async function buildGraphContext(query, encoder) {
+    const seeds = await matchQueryToGraphNodes(query, graphElements.nodes, encoder);
+    const seedIds = seeds.map(seed => seed.id);
+    const seedSet = new Set(seedIds);
+
+    // Triples between two matched nodes first, then the best-cited neighbours
+    const triples = graphElements.edges
+        .filter(edge => seedSet.has(edge.from) || seedSet.has(edge.to))
+        .sort((a, b) =>
+            (Number(seedSet.has(b.from) && seedSet.has(b.to)) - Number(seedSet.has(a.from) && seedSet.has(a.to))) ||
+            (b.data.n_citations || 0) - (a.data.n_citations || 0)
+        )
+        .slice(0, MAX_GRAPH_CONTEXT_TRIPLES);
+
+    const nodeDocs = graphElements.nodes
+        .filter(node => seedSet.has(node.id) && node.data && node.data.answer)
+        .map(node => graphContextDoc(`Knowledge graph node: ${node.id}`, node.data, { kind: 'node', node: node.id }));
+    const tripleDocs = triples.map(edge => graphContextDoc(
+        `Knowledge graph: ${edge.data.source} → ${edge.data.relation} → ${edge.data.target}`,
+        edge.data,
+        { kind: 'edge', source: edge.data.source, relation: edge.data.relation, target: edge.data.target }
+    ));
+
+    return { seedIds, docs: nodeDocs.concat(tripleDocs) };
+}
+
+// A retrieval source built from a graph edge/node record. Its own [n] markers refer to
+// its citations, so they are replaced by the cited articles' titles.
+function graphContextDoc(title, item, graph) {
+    const citations = item.citations || [];
+    const articles = Array.from(new Set(citations.map(cit => {
+        const metadata = cit.metadata || {};
+        return [metadata.title, metadata.source, (metadata.pubdate || '').slice(0, 10), metadata.url].filter(Boolean).join(', ');
+    })));
+    const pubdates = citations.map(cit => cit.metadata?.pubdate).filter(Boolean).sort();
+
+    const lines = [title];
+    if (item.question) lines.push(`Question: ${item.question}`);
+    lines.push(`Answer: ${(item.answer || '').replace(/\s*\[\d+\]/g, '').trim()}`);
+    if (articles.length > 0) lines.push(`Supporting articles: ${articles.join('; ')}`);
+
+    return {
+        content: lines.join('\n'),
+        metadata: {
+            title: title,
+            source: 'knowledge graph',
+            // A graph source is not any one article; those are listed in the content
+            url: '',
+            pubdate: pubdates[0] || ''
+        },
+        graph: graph
+    };
+}
+
+// Highlight the graph nodes and triples an answer cites, plus the matched seed nodes
+function highlightGraphCitations(citations, seedIds) {
+    const edgeIds = [];
+    const nodeIds = new Set(seedIds);
+
+    citations.forEach(cit => {
+        if (!cit.graph) return;
+        if (cit.graph.kind === 'node') {
+            nodeIds.add(canonicalNodeLabel(cit.graph.node) || cit.graph.node);
+            return;
+        }
+        const key = tripleKey(cit.graph);
+        graphElements.edges.filter(edge => tripleKey(edge.data) === key).forEach(edge => {
+            edgeIds.push(edge.id);
+            nodeIds.add(edge.from);
+            nodeIds.add(edge.to);
+        });
+    });
+
+    if (edgeIds.length > 0 || nodeIds.size > 0) {
+        highlightGraphElements(Array.from(nodeIds), edgeIds);
+    }
+}
+
+// ============================================================================
+// ANSWER REVIEWS AND FOLLOW-UPS
+// ============================================================================
+
+function initializeAnswerReviews() {
+    ['edge', 'node'].forEach(kind => {
+        document.querySelectorAll(`#${kind}Review .review-btn`).forEach(button => {
+            button.addEventListener('click', () => setReviewStatus(kind, button.dataset.status));
+        });
+        document.getElementById(`${kind}FollowupAsk`).addEventListener('click', () => handleFollowUp(kind));
+        document.getElementById(`${kind}FollowupQuery`).addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                handleFollowUp(kind);
+            }
+        });
+    });
+}
+
+function modalItem(kind) {
+    return kind === 'edge' ? currentModalEdge : currentModalNode;
+}
+
+// Reviews are keyed by the displayed event and the triple or normalised node label
+function reviewId(kind, item) {
+    const key = kind === 'edge' ? tripleKey(item) : normalizeNodeLabel(item.node);
+    return [currentData?.DisNo || '', kind, key].join('\u0000');
+}
+
+async function loadReview(kind, item) {
+    const id = reviewId(kind, item);
+    let review = null;
+    try {
+        review = await appStoreRequest(REVIEW_STORE, 'readonly', store => store.get(id));
+    } catch (error) {
+        console.warn('Answer reviews unavailable:', error.message);
+    }
+
+    return review || {
+        id,
+        eventId: currentData?.DisNo || '',
+        kind,
+        label: kind === 'edge' ? `${item.source} → ${item.relation} → ${item.target}` : item.node,
+        status: null,
+        statusAt: null,
+        findings: []
+    };
+}
+
+function saveReview(review) {
+    return appStoreRequest(REVIEW_STORE, 'readwrite', store => store.put(review));
+}
+
+// Reset the modal's follow-up box and show the stored review of `item`
+async function openReviewSection(kind, item) {
+    stopFollowUp();
+    openReviews[kind] = null;
+    document.getElementById(`${kind}FollowupQuery`).value = '';
+    document.getElementById(`${kind}FollowupStatus`).innerHTML = '';
+    document.getElementById(`${kind}Findings`).innerHTML = '';
+    renderReviewStatus(kind, null);
+
+    const review = await loadReview(kind, item);
+    if (modalItem(kind) !== item) return;
+
+    openReviews[kind] = review;
+    renderReviewStatus(kind, review);
+    renderFindings(kind, review);
+}
+
+function renderReviewStatus(kind, review) {
+    const status = review ? review.status : null;
+    document.querySelectorAll(`#${kind}Review .review-btn`).forEach(button => {
+        button.classList.toggle('active', button.dataset.status === status);
+    });
+
+    const badge = document.getElementById(`${kind}ReviewBadge`);
+    badge.className = status ? `review-badge review-${status}` : 'review-badge';
+    badge.textContent = status ? REVIEW_STATUSES[status] : '';
+    badge.title = status ? `Marked on ${new Date(review.statusAt).toLocaleString()}` : '';
+    badge.style.display = status ? 'inline-block' : 'none';
+}
+
+// Mark the original answer; clicking the active status again clears it
+async function setReviewStatus(kind, status) {
+    const review = openReviews[kind];
+    if (!review) return;
+
+    review.status = review.status === status ? null : status;
+    review.statusAt = new Date().toISOString();
+    renderReviewStatus(kind, review);
+
+    try {
+        await saveReview(review);
+    } catch (error) {
+        document.getElementById(`${kind}FollowupStatus`).innerHTML =
+            `<span style="color: #e74c3c;">❌ Could not save the review: ${escapeHtml(error.message)}</span>`;
+    }
+}
+
+// Abort the running follow-up, e.g. because its modal was closed or replaced
+function stopFollowUp() {
+    if (activeFollowUpController) activeFollowUpController.abort();
+}
+
+// Hide the edge or node modal along with any follow-up still running in it
+function hideGraphModal(modal) {
+    modal.style.display = 'none';
+    stopFollowUp();
+}
+
+// Question for the LLM: the follow-up, framed by the original question and answer
+function buildFollowUpQuery(kind, item, question) {
+    const subject = kind === 'edge'
+        ? `the relationship "${item.source} ${item.relation} ${item.target}"`
+        : `"${item.node}"`;
+    const original = (item.answer || '').replace(/\s*\[\d+\]/g, '').trim();
+
+    return `This is a follow-up about ${subject}.
+Original question: ${item.question || 'N/A'}
+Current answer: ${original || 'N/A'}
+Follow-up: ${question}
+State whether the sources confirm, contradict or add to the current answer.`;
+}
+
+// Citations carry the article's metadata, so the guid (or URL) links them back to
+// the embeddings document
+function articleKey(metadata = {}) {
+    return metadata.guid || metadata.url || metadata.title || '';
+}
+
+// The best-matching passage of each article the item already cites. Citations whose
+// article is not in the corpus are chunked on their own.
+function seedFollowUpPassages(citations, corpus, query) {
+    const scores = scoreBm25(corpus.passageBm25Index, query);
+    const seeds = new Map();
+
+    citations.forEach(cit => {
+        const key = articleKey(cit.metadata);
+        if (seeds.has(key)) return;
+
+        let best = -1;
+        corpus.passages.forEach((passage, idx) => {
+            if (articleKey(corpus.documents[passage.docIndex].metadata) !== key) return;
+            if (best === -1 || scores[idx] > scores[best]) best = idx;
+        });
+
+        if (best !== -1) {
+            seeds.set(key, passageDoc(corpus, corpus.passages[best], scores[best]));
+            return;
+        }
+
+        const chunks = chunkDocuments([{ content: cit.content || '', metadata: cit.metadata || {} }]);
+        if (chunks.length === 0) return;
+        const chunkScores = scoreBm25(buildBm25Index(chunks), query);
+        const chunk = chunks[rankByScore(chunks.map((_, idx) => idx), chunkScores)[0]];
+        seeds.set(key, {
+            content: chunk.content,
+            metadata: chunk.metadata,
+            passage: { start: chunk.start, end: chunk.end, article: cit.content }
+        });
+    });
+
+    return Array.from(seeds.values());
+}
+
+// Run the RAG pipeline scoped to the modal's triple or node. Passages of the articles
+// it already cites are numbered first, followed by newly retrieved passages from other
+// articles. Closing or replacing the modal aborts the run.
+async function handleFollowUp(kind) {
+    const item = modalItem(kind);
+    const review = openReviews[kind];
+    const queryInput = document.getElementById(`${kind}FollowupQuery`);
+    const statusDiv = document.getElementById(`${kind}FollowupStatus`);
+    const askBtn = document.getElementById(`${kind}FollowupAsk`);
+    const question = queryInput.value.trim();
+    const llmConfig = getLlmConfig();
+
+    const configError = llmConfigError(llmConfig);
+    if (configError) {
+        statusDiv.innerHTML = `<span style="color: #e74c3c;">⚠️ ${escapeHtml(configError)} in the Custom Query panel</span>`;
+        return;
+    }
+
+    if (!question) {
+        statusDiv.innerHTML = '<span style="color: #e74c3c;">⚠️ Please enter a follow-up question</span>';
+        return;
+    }
+
+    if (activeFollowUpController) {
+        statusDiv.innerHTML = '<span style="color: #f39c12;">⚠️ A follow-up is already running</span>';
+        return;
+    }
+
+    if (!currentEventId) {
+        statusDiv.innerHTML = '<span style="color: #e74c3c;">⚠️ Please select an event first</span>';
+        return;
+    }
+
+    if (!item || !review) {
+        statusDiv.innerHTML = '<span style="color: #f39c12;">⚠️ The review is still loading - please try again in a moment</span>';
+        return;
+    }
+
+    const controller = new AbortController();
+    activeFollowUpController = controller;
+    askBtn.disabled = true;
+
+    // The modal may show another item by the time a step finishes
+    const setStatus = (html) => {
+        if (openReviews[kind] === review) statusDiv.innerHTML = html;
+    };
+
+    try {
+        setStatus('<span style="color: #3498db;">📊 Loading document embeddings...</span>');
+        const corpus = currentData.mergedFrom ? await ensureHazardEmbeddings(currentData) : await ensureEmbeddings(currentEventId);
+        await getQueryEncoder(corpus, (spec) => {
+            setStatus(`<span style="color: #3498db;">📦 Loading embedding model ${escapeHtml(spec.encoder)} (first time only)...</span>`);
+        });
+        if (controller.signal.aborted) return;
+
+        setStatus('<span style="color: #3498db;">🔍 Searching relevant documents...</span>');
+        const subject = kind === 'edge' ? `${item.source} ${item.relation} ${item.target}` : item.node;
+        const searchQuery = `${subject}. ${question}`;
+        const retrieved = await retrievePassages(searchQuery, corpus, {
+            ...getRetrievalOptions(),
+            signal: controller.signal
+        });
+
+        const seeded = seedFollowUpPassages(item.citations || [], corpus, searchQuery);
+        const seen = new Set(seeded.map(doc => articleKey(doc.metadata)));
+        const docs = seeded.concat(retrieved.filter(doc => !seen.has(articleKey(doc.metadata))));
+
+        setStatus(`<span style="color: #3498db;">🤖 Generating answer with ${escapeHtml(llmConfig.model)}...</span>`);
+        const result = await generateAnswerWithCitations(buildFollowUpQuery(kind, item, question), docs, llmConfig, {
+            signal: controller.signal
+        });
+        if (controller.signal.aborted) return;
+
+        try {
+            result.grounding = await checkAnswerGrounding(result.answer, result.citations, await getGroundingEncoder(corpus));
+        } catch (error) {
+            console.warn('Citation grounding check failed:', error);
+            result.grounding = null;
+        }
+
+        review.findings.push({
+            question,
+            answer: result.answer,
+            citations: result.citations,
+            grounding: result.grounding,
+            stopped: result.stopped,
+            askedAt: new Date().toISOString()
+        });
+        await saveReview(review);
+
+        if (openReviews[kind] === review) {
+            renderFindings(kind, review);
+            queryInput.value = '';
+        }
+        setStatus(`<span style="color: #2ecc71;">✅ Finding added (${result.citations.length} source${result.citations.length === 1 ? '' : 's'})</span>`);
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+        console.error('Error processing follow-up:', error);
+        setStatus(`<span style="color: #e74c3c;">❌ Error: ${escapeHtml(error.message)}</span>`);
+    } finally {
+        activeFollowUpController = null;
+        askBtn.disabled = false;
+    }
+}
+
+function renderFindings(kind, review) {
+    const container = document.getElementById(`${kind}Findings`);
+
+    container.innerHTML = review.findings.length === 0 ? '' : `
+        <div class="findings-title">Follow-up findings (${review.findings.length})</div>
+        ${review.findings.map((finding, idx) => {
+            const faithfulness = finding.grounding && finding.grounding.faithfulness !== null
+                ? ` · Faithfulness ${Math.round(finding.grounding.faithfulness * 100)}%`
+                : '';
+            return `
+                <div class="chat-turn" data-finding-index="${idx}">
+                    <div class="chat-question">🙋 ${escapeHtml(finding.question)}</div>
+                    <div class="chat-answer">${processCitationsInText(escapeHtml(finding.answer), finding.citations)}</div>
+                    <div class="chat-meta">
+                        ${escapeHtml(new Date(finding.askedAt).toLocaleString())} · ${finding.citations.length} source${finding.citations.length === 1 ? '' : 's'}${faithfulness}${finding.stopped ? ' · stopped' : ''}
+                    </div>
+                </div>
+            `;
+        }).join('')}
+    `;
+
+    container.querySelectorAll('.chat-turn').forEach(item => {
+        const finding = review.findings[parseInt(item.dataset.findingIndex)];
+        bindCitationSpans(item.querySelector('.chat-answer'), finding.citations);
+    });
+}
+
+// ============================================================================
+// CONVERSATION SESSIONS
+// ============================================================================
+
+function initializeChatSessions() {
+    document.getElementById('chatSession').addEventListener('change', function() {
+        activeChatSession = chatSessions.find(session => session.id === this.value) || activeChatSession;
+        renderChatHistory();
+
+        const lastTurn = activeChatSession.turns[activeChatSession.turns.length - 1];
+        if (lastTurn) {
+            reopenChatTurn(lastTurn);
+        } else {
+            document.getElementById('queryResults').style.display = 'none';
+        }
+    });
+
+    document.getElementById('newChatSession').addEventListener('click', () => {
+        const scopeId = chatScopeId();
+        if (!scopeId || activeQueryController) return;
+
+        activeChatSession = createChatSession(scopeId);
+        document.getElementById('queryResults').style.display = 'none';
+        refreshChatSessions();
+    });
+
+    document.getElementById('deleteChatSession').addEventListener('click', async () => {
+        if (!activeChatSession || activeQueryController) return;
+        if (activeChatSession.turns.length > 0 && !confirm('Delete this conversation and its answers?')) return;
+
+        try {
+            await deleteChatSession(activeChatSession.id);
+        } catch (error) {
+            console.warn('Could not delete conversation:', error.message);
+        }
+        activeChatSession = null;
+        document.getElementById('queryResults').style.display = 'none';
+        refreshChatSessions();
+    });
+}
+
+// Sessions are scoped to the selected event, or to all events in cross-event mode
+function chatScopeId() {
+    return document.getElementById('searchAllEvents').checked ? GLOBAL_EVENT_ID : currentEventId;
+}
+
+function openAppDatabase() {
+    if (!appDatabase) {
+        appDatabase = new Promise((resolve, reject) => {
+            const request = indexedDB.open(APP_DB_NAME, APP_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(CHAT_STORE)) {
+                    db.createObjectStore(CHAT_STORE, { keyPath: 'id' }).createIndex('eventId', 'eventId');
+                }
+                if (!db.objectStoreNames.contains(REVIEW_STORE)) {
+                    db.createObjectStore(REVIEW_STORE, { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch(error => {
+            appDatabase = null;
+            throw error;
+        });
+    }
+    return appDatabase;
+}
+
+// Run one request against an object store and resolve with its result
+async function appStoreRequest(storeName, mode, makeRequest) {
+    const db = await openAppDatabase();
+    return new Promise((resolve, reject) => {
+        const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Sessions of one event, most recently updated first
+async function loadChatSessions(eventId) {
+    const sessions = await appStoreRequest(CHAT_STORE, 'readonly', store => store.index('eventId').getAll(eventId));
+    return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+function saveChatSession(session) {
+    return appStoreRequest(CHAT_STORE, 'readwrite', store => store.put(session));
+}
+
+function deleteChatSession(sessionId) {
+    return appStoreRequest(CHAT_STORE, 'readwrite', store => store.delete(sessionId));
+}
+
+function createChatSession(eventId) {
+    const now = new Date().toISOString();
+    return { id: `${eventId}-${Date.now()}`, eventId, title: '', createdAt: now, updatedAt: now, turns: [] };
+}
+
+// List the sessions of the current scope, keeping the open one selected (a new,
+// still empty session is listed even though it is not saved yet)
+async function refreshChatSessions() {
+    const select = document.getElementById('chatSession');
+    const scopeId = chatScopeId();
+
+    if (!scopeId) {
+        chatSessions = [];
+        activeChatSession = null;
+        select.innerHTML = '<option value="">Select an event first</option>';
+        renderChatHistory();
+        return;
+    }
+
+    let stored = [];
+    try {
+        stored = await loadChatSessions(scopeId);
+    } catch (error) {
+        console.warn('Conversation history unavailable:', error.message);
+    }
+
+    if (!activeChatSession || activeChatSession.eventId !== scopeId) {
+        activeChatSession = stored[0] || createChatSession(scopeId);
+    }
+    chatSessions = stored.some(session => session.id === activeChatSession.id)
+        ? stored.map(session => session.id === activeChatSession.id ? activeChatSession : session)
+        : [activeChatSession, ...stored];
+
+    select.innerHTML = chatSessions.map(session => {
+        const turns = session.turns.length;
+        return `<option value="${escapeHtml(session.id)}">${escapeHtml(session.title || 'New conversation')} (${turns} question${turns === 1 ? '' : 's'})</option>`;
+    }).join('');
+    select.value = activeChatSession.id;
+    renderChatHistory();
+}
+
+// Rewrite a follow-up into a self-contained question using the last few turns
+async function rewriteFollowUpQuery(query, turns, llmConfig, signal) {
+    const history = turns.slice(-CHAT_REWRITE_TURNS).map(turn =>
+        `User: ${turn.question}\nAssistant: ${turn.answer.replace(/\[\d+\]/g, '').trim()}`
+    ).join('\n\n');
+
+    const prompt = `**Role:** You rewrite follow-up questions about a disaster event for a search engine.
+
+**Task:**
+Rewrite the follow-up question as a single standalone question that can be understood without the conversation, resolving pronouns and references ("it", "there", "those areas") from the conversation. If it is already standalone, return it unchanged. Reply with the question only.
+
+**Conversation:**
+${history}
+
+**Follow-up question:**
+${query}
+
+**Standalone question:**`;
+
+    const rewritten = await requestChatCompletion(llmConfig, [{ role: 'user', content: prompt }], signal);
+    return rewritten.trim().replace(/^["']+|["']+$/g, '') || query;
+}
+
+async function recordChatTurn(session, question, standaloneQuery, result) {
+    session.turns.push({
+        question,
+        standaloneQuery,
+        answer: result.answer,
+        citations: result.citations,
+        grounding: result.grounding,
+        stopped: result.stopped,
+        askedAt: new Date().toISOString()
+    });
+    session.updatedAt = new Date().toISOString();
+    if (!session.title) {
+        session.title = question.length > 60 ? question.slice(0, 57) + '...' : question;
+    }
+
+    try {
+        await saveChatSession(session);
+    } catch (error) {
+        console.warn('Could not save conversation:', error.message);
+    }
+    if (session === activeChatSession) await refreshChatSessions();
+}
+
+// Show the open session's turns, oldest first, with their clickable citations
+function renderChatHistory() {
+    const history = document.getElementById('chatHistory');
+    const turns = activeChatSession ? activeChatSession.turns : [];
+
+    history.style.display = turns.length ? 'block' : 'none';
+    history.innerHTML = turns.map((turn, idx) => {
+        const rewritten = turn.standaloneQuery && turn.standaloneQuery !== turn.question;
+        const faithfulness = turn.grounding && turn.grounding.faithfulness !== null
+            ? ` · Faithfulness ${Math.round(turn.grounding.faithfulness * 100)}%`
+            : '';
+
+        return `
+            <div class="chat-turn" data-turn-index="${idx}">
+                <div class="chat-question">🙋 ${escapeHtml(turn.question)}</div>
+                ${rewritten ? `<div class="chat-rewrite">Searched as: ${escapeHtml(turn.standaloneQuery)}</div>` : ''}
+                <div class="chat-answer">${processCitationsInText(escapeHtml(turn.answer), turn.citations)}</div>
+                <div class="chat-meta">
+                    ${escapeHtml(new Date(turn.askedAt).toLocaleString())} · ${turn.citations.length} source${turn.citations.length === 1 ? '' : 's'}${faithfulness}${turn.stopped ? ' · stopped' : ''}
+                    <button class="chat-reopen">Reopen</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    history.querySelectorAll('.chat-turn').forEach(item => {
+        const turn = turns[parseInt(item.dataset.turnIndex)];
+        bindCitationSpans(item.querySelector('.chat-answer'), turn.citations);
+        item.querySelector('.chat-reopen').addEventListener('click', () => reopenChatTurn(turn));
+    });
+
+    history.scrollTop = history.scrollHeight;
+}
+
+// Show a stored turn in the answer box, exactly as it was first displayed
+function reopenChatTurn(turn) {
+    displayQueryResults(turn, []);
+    if (turn.citations.some(cit => cit.graph)) {
+        highlightGraphCitations(turn.citations, []);
+    }
+    if (turn.grounding) {
+        renderGroundedAnswer(document.getElementById('answerBox'), document.getElementById('answerGrounding'), turn.answer, turn.citations, turn.grounding);
+    }
+    document.getElementById('queryStatus').innerHTML =
+        `<span style="color: #3498db;">💬 Answer from ${escapeHtml(new Date(turn.askedAt).toLocaleString())}</span>`;
+}
+
+// ============================================================================
+// LLM PROVIDER LAYER
+// ============================================================================
+
+// Request/response adapters for each chat API family
+const LLM_APIS = {
+    'openai-chat': {
+        endpoint: (config) => `${config.baseUrl}/chat/completions`,
+        buildBody: (config, messages, stream = false) => ({
+            model: config.model,
+            temperature: config.temperature,
+            stream: stream,
+            messages: messages
+        }),
+        parseAnswer: (data) => data.choices[0].message.content,
+        parseStreamEvent: (event) => event.choices?.[0]?.delta?.content || '',
+        parseStreamError: (event) => event.error ? (event.error.message || 'unknown error') : ''
+    },
+    'anthropic-messages': {
+        endpoint: (config) => `${config.baseUrl}/messages`,
+        headers: {
+            'anthropic-version': '2023-06-01',
+            'anthropic-dangerous-direct-browser-access': 'true'
+        },
+        buildBody: (config, messages, stream = false) => ({
+            model: config.model,
+            temperature: config.temperature,
+            max_tokens: 1024,
+            stream: stream,
+            messages: messages
+        }),
+        parseAnswer: (data) => data.content
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join(''),
+        parseStreamEvent: (event) => event.type === 'content_block_delta' ? (event.delta?.text || '') : '',
+        parseStreamError: (event) => event.type === 'error' ? (event.error?.message || 'unknown error') : ''
+    }
+};
+
+function initializeProviderSettings() {
+    const providerSelect = document.getElementById('llmProvider');
+
+    Object.entries(LLM_PROVIDERS).forEach(([id, provider]) => {
+        const option = document.createElement('option');
+        option.value = id;
+        option.textContent = provider.label;
+        providerSelect.appendChild(option);
+    });
+
+    applyProviderSettings(loadProviderSettings());
+
+    // Switching provider resets the fields to that provider's defaults
+    providerSelect.addEventListener('change', () => {
+        applyProviderSettings(providerDefaults(providerSelect.value));
+        saveProviderSettings();
+    });
+
+    ['llmBaseUrl', 'llmModel', 'llmTemperature', 'llmAuthScheme'].forEach(id => {
+        document.getElementById(id).addEventListener('change', saveProviderSettings);
+    });
+}
+
+function providerDefaults(providerId) {
+    const provider = LLM_PROVIDERS[providerId] || LLM_PROVIDERS[DEFAULT_LLM_PROVIDER];
+    return {
+        provider: LLM_PROVIDERS[providerId] ? providerId : DEFAULT_LLM_PROVIDER,
+        baseUrl: provider.baseUrl,
+        model: provider.model,
+        temperature: 0,
+        authScheme: provider.authScheme
+    };
+}
+
+// Settings are kept in sessionStorage next to the API key
+function loadProviderSettings() {
+    try {
+        const saved = JSON.parse(sessionStorage.getItem(LLM_SETTINGS_STORAGE_KEY));
+        if (saved && LLM_PROVIDERS[saved.provider]) {
+            return { ...providerDefaults(saved.provider), ...saved };
+        }
+    } catch (error) {
+        console.warn('Ignoring unreadable LLM provider settings:', error);
+    }
+    return providerDefaults(DEFAULT_LLM_PROVIDER);
+}
+
+function saveProviderSettings() {
+    const { apiKey, label, api, ...settings } = getLlmConfig();
+    sessionStorage.setItem(LLM_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+}
+
+function applyProviderSettings(settings) {
+    document.getElementById('llmProvider').value = settings.provider;
+    document.getElementById('llmBaseUrl').value = settings.baseUrl;
+    document.getElementById('llmModel').value = settings.model;
+    document.getElementById('llmTemperature').value = settings.temperature;
+    document.getElementById('llmAuthScheme').value = settings.authScheme;
+}
+
+// Read the current provider configuration from the query panel
+function getLlmConfig() {
+    const providerId = document.getElementById('llmProvider').value || DEFAULT_LLM_PROVIDER;
+    const provider = LLM_PROVIDERS[providerId];
+    const temperature = parseFloat(document.getElementById('llmTemperature').value);
+
+    return {
+        provider: providerId,
+        label: provider.label,
+        api: provider.api,
+        baseUrl: document.getElementById('llmBaseUrl').value.trim().replace(/\/+$/, ''),
+        model: document.getElementById('llmModel').value.trim(),
+        temperature: isNaN(temperature) ? 0 : temperature,
+        authScheme: document.getElementById('llmAuthScheme').value,
+        apiKey: document.getElementById('apiKey').value.trim()
+    };
+}
+
+function buildAuthHeaders(authScheme, apiKey) {
+    if (!apiKey) return {};
+
+    switch (authScheme) {
+        case 'bearer':
+            return { 'Authorization': `Bearer ${apiKey}` };
+        case 'x-api-key':
+            return { 'x-api-key': apiKey };
+        case 'api-key':
+            return { 'api-key': apiKey };
+        default:
+            return {};
+    }
+}
+
+async function postChatRequest(llmConfig, messages, stream, signal) {
+    const adapter = LLM_APIS[llmConfig.api];
+
+    const response = await fetch(adapter.endpoint(llmConfig), {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(adapter.headers || {}),
+            ...buildAuthHeaders(llmConfig.authScheme, llmConfig.apiKey)
+        },
+        body: JSON.stringify(adapter.buildBody(llmConfig, messages, stream)),
+        signal: signal
+    });
+
+    if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error?.message || `${llmConfig.label} request failed (${response.status})`);
+    }
+
+    return response;
+}
+
+// Send a chat request to the configured provider and return the answer text
+async function requestChatCompletion(llmConfig, messages, signal) {
+    const response = await postChatRequest(llmConfig, messages, false, signal);
+    const data = await response.json();
+    return LLM_APIS[llmConfig.api].parseAnswer(data);
+}
+
+// Stream a chat request as server-sent events, calling `onToken` with the text so far.
+// Resolves with `stopped: true` and the partial text if `signal` is aborted mid-stream.
+async function streamChatCompletion(llmConfig, messages, { signal, onToken } = {}) {
+    const adapter = LLM_APIS[llmConfig.api];
+    let text = '';
+
+    try {
+        const response = await postChatRequest(llmConfig, messages, true, signal);
+
+        // Some OpenAI-compatible servers ignore `stream` and answer in one JSON body
+        const contentType = response.headers.get('Content-Type') || '';
+        if (!contentType.includes('text/event-stream')) {
+            text = adapter.parseAnswer(await response.json());
+            if (onToken) onToken(text);
+            return { text, stopped: false };
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            lines.forEach(line => {
+                const payload = line.trim();
+                if (!payload.startsWith('data:')) return;
+
+                const data = payload.slice(5).trim();
+                if (!data || data === '[DONE]') return;
+
+                // Errors such as an overloaded server can arrive after the answer has started
+                const event = JSON.parse(data);
+                const streamError = adapter.parseStreamError(event);
+                if (streamError) {
+                    throw new Error(`${llmConfig.label} stream failed: ${streamError}`);
+                }
+
+                const delta = adapter.parseStreamEvent(event);
+                if (delta) {
+                    text += delta;
+                    if (onToken) onToken(text);
+                }
+            });
+        }
+
+        return { text, stopped: false };
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            return { text, stopped: true };
+        }
+        throw error;
+    }
+}
+
+// ============================================================================
+// ORIGINAL VISUALIZATION CODE
+// ============================================================================
+
+// Load the index.json file with all events
+async function loadEventsIndex() {
+    try {
+        console.log('Attempting to load index.json...');
+        const response = await fetch('index.json');
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        eventsIndex = await response.json();
+        console.log(`Successfully loaded ${eventsIndex.length} events`);
+        populateEventDropdown();
+    } catch (error) {
+        console.error('Error loading events index:', error);
+        document.getElementById('eventSelect').innerHTML = '<option value="">Error loading events - check console</option>';
+    }
+}
+
+// Populate dropdown with events
+function populateEventDropdown() {
+    const select = document.getElementById('eventSelect');
+    
+    if (eventsIndex.length === 0) {
+        select.innerHTML = '<option value="">No events available</option>';
+        return;
+    }
+    
+    select.innerHTML = '<option value="">-- Select an event --</option>';
+    
+    const compareSelect = document.getElementById('compareSelect');
+    compareSelect.innerHTML = '<option value="">-- No comparison --</option>';
+
+    eventsIndex.forEach(event => {
+        const option = document.createElement('option');
+        option.value = event.file;
+        option.textContent = `${event.DisNo} - ${event.disaster_type} in ${event.country} (${event.start_dt})`;
+        option.dataset.disno = event.DisNo;
+        select.appendChild(option);
+        compareSelect.appendChild(option.cloneNode(true));
+    });
+}
+
+// Initialize event selector
+function initializeEventSelector() {
+    const select = document.getElementById('eventSelect');
+    
+    select.addEventListener('change', async function() {
+        const filename = this.value;
+        if (!filename) return;
+
+        if (graphEditMode && !leaveGraphEditMode({ reload: false })) {
+            this.value = graphEditState.file;
+            return;
+        }
+
+        try {
+            await loadSelectedEvent();
+        } catch (error) {
+            console.error('Error loading event:', error);
+            alert('Error loading event data: ' + error.message);
+        }
+    });
+}
+
+// Show the event chosen in #eventSelect and point the query panel at it
+async function loadSelectedEvent() {
+    const select = document.getElementById('eventSelect');
+    currentEventId = select.options[select.selectedIndex].dataset.disno;
+    if (!document.getElementById('searchAllEvents').checked) lastViewQuery = '';
+
+    await renderSelectedEvent();
+    refreshChatSessions();
+    updateViewHash({ push: true });
+
+    // Reset embeddings data when event changes, then prefetch them so the
+    // query panel's source filter lists this event's outlets
+    embeddingsData = null;
+    const eventId = currentEventId;
+    ensureEmbeddings(eventId)
+        .then(loaded => {
+            const searchAll = document.getElementById('searchAllEvents').checked;
+            if (eventId === currentEventId && !searchAll) populateRetrievalFilters(loaded);
+        })
+        .catch(error => console.warn('Embeddings prefetch failed:', error.message));
+}
+
+// Fetch one event's *_full.json
+async function fetchEventFile(filename) {
+    console.log(`Loading event data: data/${filename}`);
+    const response = await fetch(`data/${filename}`);
+
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    return response.json();
+}
+
+// Show the selected event, or all events of its hazard when merging is on
+async function renderSelectedEvent() {
+    const filename = document.getElementById('eventSelect').value;
+    const data = document.getElementById('mergeByHazard').checked
+        ? await loadMergedHazard(currentEventId)
+        : await fetchEventFile(filename);
+
+    currentData = data;
+    visualizeKnowledgeGraph(data);
+
+    if (document.getElementById('compareSelect').value) {
+        await renderComparison();
+    }
+}
+
+// Initialize node toggle
+function initializeNodeToggle() {
+    const checkbox = document.getElementById('showNodes');
+    checkbox.addEventListener('change', function() {
+        if (currentData) {
+            visualizeKnowledgeGraph(currentData);
+        }
+    });
+}
+
+// Initialize the evidence scoring scheme selector
+function initializeEvidenceScheme() {
+    const select = document.getElementById('evidenceScheme');
+    select.innerHTML = Object.entries(EVIDENCE_SCHEMES).map(([id, scheme]) =>
+        `<option value="${id}">${escapeHtml(scheme.label)}</option>`
+    ).join('');
+    select.value = 'evidence';
+    updateEvidenceLegend();
+
+    select.addEventListener('change', function() {
+        updateEvidenceLegend();
+        if (currentData) {
+            visualizeKnowledgeGraph(currentData);
+        }
+    });
+}
+
+// Initialize the merge-by-hazard toggle
+function initializeHazardMerge() {
+    const checkbox = document.getElementById('mergeByHazard');
+    checkbox.addEventListener('change', function() {
+        if (!currentEventId) return;
+
+        if (graphEditMode && !leaveGraphEditMode({ reload: false })) {
+            this.checked = !this.checked;
+            return;
+        }
+
+        renderSelectedEvent()
+            .then(() => updateViewHash({ push: true }))
+            .catch(error => {
+                console.error('Error loading event:', error);
+                alert('Error loading event data: ' + error.message);
+            });
+    });
+}
+
+// ============================================================================
+// MERGED HAZARD VIEW
+// ============================================================================
+
+// Events sharing a DisNo prefix (e.g. 2017-0381) are one hazard split by country
+function getHazardId(disNo) {
+    return disNo.split('-').slice(0, 2).join('-');
+}
+
+// Labels that differ only by case or whitespace, or that the user accepted as aliases,
+// are the same node
+function normalizeNodeLabel(label) {
+    const key = basicNodeKey(label);
+    const canonical = entityAliases.aliases[key];
+    return canonical ? basicNodeKey(canonical) : key;
+}
+
+function basicNodeKey(label) {
+    return String(label).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Load every sibling event of a hazard and union their graphs
+async function loadMergedHazard(eventId) {
+    const hazardId = getHazardId(eventId);
+    const siblings = eventsIndex.filter(event => getHazardId(event.DisNo) === hazardId);
+    const events = await Promise.all(siblings.map(event => fetchEventFile(event.file)));
+    return mergeHazardEvents(hazardId, events);
+}
+
+// Build a *_full.json-shaped object whose edges and nodes are the union of all events.
+// Matching triples/nodes are combined: citation counts are summed and each country's
+// answer is kept, with its citation numbers shifted so they stay clickable.
+function mergeHazardEvents(hazardId, events) {
+    const origins = events.map((data, idx) => ({
+        DisNo: data.DisNo,
+        country: data.country,
+        color: COUNTRY_COLORS[idx % COUNTRY_COLORS.length]
+    }));
+
+    // Display each normalised label in its most frequent original spelling
+    const labelForms = new Map();
+    const countLabel = (label) => {
+        const key = normalizeNodeLabel(label);
+        if (!labelForms.has(key)) labelForms.set(key, new Map());
+        const forms = labelForms.get(key);
+        forms.set(label, (forms.get(label) || 0) + 1);
+    };
+    events.forEach(data => {
+        (data.knowledge_graph_with_citations || []).forEach(item => {
+            countLabel(item.source);
+            countLabel(item.target);
+        });
+        (data.nodes_with_citations || []).forEach(item => countLabel(item.node));
+    });
+    const canonicalLabel = (label) => {
+        const aliased = canonicalNodeLabel(label);
+        if (aliased) return aliased;
+        const forms = labelForms.get(normalizeNodeLabel(label));
+        return Array.from(forms.entries()).sort((a, b) => b[1] - a[1])[0][0];
+    };
+
+    const edgeGroups = groupByKey(events, origins, 'knowledge_graph_with_citations', item =>
+        [normalizeNodeLabel(item.source), item.relation, normalizeNodeLabel(item.target)].join('\u0000')
+    );
+    const nodeGroups = groupByKey(events, origins, 'nodes_with_citations', item =>
+        normalizeNodeLabel(item.node)
+    );
+
+    const mergedEdges = edgeGroups.map(group => ({
+        source: canonicalLabel(group[0].item.source),
+        relation: group[0].item.relation,
+        target: canonicalLabel(group[0].item.target),
+        question: group[0].item.question,
+        ...combineOriginAnswers(group)
+    }));
+
+    const mergedNodes = nodeGroups.map(group => ({
+        node: canonicalLabel(group[0].item.node),
+        question: group[0].item.question,
+        ...combineOriginAnswers(group)
+    }));
+
+    const sum = (key) => events.reduce((total, data) => total + (data[key] || 0), 0);
+    const startDates = events.map(data => data.start_dt).filter(Boolean).sort();
+
+    return {
+        DisNo: `${hazardId} (merged)`,
+        disaster_type: events[0].disaster_type,
+        country: origins.map(origin => origin.country).join(', '),
+        location: events.map(data => data.location).filter(Boolean).join('; '),
+        start_dt: startDates[0],
+        knowledge_graph_with_citations: mergedEdges,
+        nodes_with_citations: mergedNodes,
+        n_links: mergedEdges.length,
+        n_nodes: mergedNodes.length,
+        total_citations: sum('total_citations'),
+        total_node_citations: sum('total_node_citations'),
+        n_articles: sum('n_articles'),
+        storylines: events.filter(data => data.storyline).map(data => ({
+            DisNo: data.DisNo,
+            country: data.country,
+            storyline: data.storyline
+        })),
+        mergedFrom: origins
+    };
+}
+
+// Group the entries of `field` across events by `keyOf`, remembering each entry's origin
+function groupByKey(events, origins, field, keyOf) {
+    const groups = new Map();
+    events.forEach((data, idx) => {
+        (data[field] || []).forEach(item => {
+            const key = keyOf(item);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push({ item, origin: origins[idx] });
+        });
+    });
+    return Array.from(groups.values());
+}
+
+function combineOriginAnswers(group) {
+    const perOrigin = new Map();
+
+    group.forEach(({ item, origin }) => {
+        const entry = perOrigin.get(origin.DisNo) || { ...origin, n_citations: 0 };
+        entry.n_citations += item.n_citations || 0;
+        perOrigin.set(origin.DisNo, entry);
+    });
+
+    const combined = combineAnswers(group.map(({ item, origin }) => ({
+        heading: origin.country,
+        item: item,
+        citationFields: { events: [{ DisNo: origin.DisNo, country: origin.country }] }
+    })));
+
+    return { ...combined, origins: Array.from(perOrigin.values()) };
+}
+
+// Concatenate several answers, each under its heading, shifting citation numbers so
+// every [n] still points at its own citation in the combined list
+function combineAnswers(parts) {
+    const answers = [];
+    const citations = [];
+    let offset = 0;
+    let nCitations = 0;
+
+    parts.forEach(({ heading, item, citationFields = {} }) => {
+        const own = item.citations || [];
+        const shift = offset;
+        const answer = (item.answer || 'No answer available')
+            .replace(/\[(\d+)\]/g, (match, num) => `[${parseInt(num) + shift}]`);
+
+        answers.push(`${heading}: ${answer}`);
+        own.forEach(cit => {
+            citations.push({ ...cit, ...citationFields, source_id: cit.source_id + shift });
+        });
+        offset += own.reduce((max, cit) => Math.max(max, cit.source_id), 0);
+        nCitations += item.n_citations || 0;
+    });
+
+    return {
+        answer: answers.join('\n\n'),
+        citations: citations,
+        n_citations: nCitations
+    };
+}
+
+// Single-country edges take that country's colour; recurring ones are drawn dark
+function getOriginEdgeColor(origins) {
+    return origins.length === 1 ? origins[0].color : SHARED_EDGE_COLOR;
+}
+
+// Show the country colours in place of the citation colours while merged
+function updateCountryLegend(data) {
+    const merged = Boolean(data.mergedFrom);
+    document.getElementById('edgeCitationLegend').style.display = merged ? 'none' : 'block';
+    document.getElementById('countryLegend').style.display = merged ? 'block' : 'none';
+    if (!merged) return;
+
+    const items = data.mergedFrom.map(origin => `
+        <div class="legend-item">
+            <div class="legend-color" style="background-color: ${origin.color};"></div>
+            <span>${escapeHtml(origin.country)} only</span>
+        </div>
+    `);
+    items.push(`
+        <div class="legend-item">
+            <div class="legend-color" style="background-color: ${SHARED_EDGE_COLOR};"></div>
+            <span>Reported in several countries (label shows how many)</span>
+        </div>
+    `);
+    document.getElementById('countryLegendItems').innerHTML = items.join('');
+}
+
+// ============================================================================
+// GRAPH COMPARISON
+// ============================================================================
+
+function initializeComparison() {
+    document.getElementById('compareSelect').addEventListener('change', function() {
+        renderComparison().catch(error => {
+            console.error('Error loading comparison event:', error);
+            alert('Error loading comparison event: ' + error.message);
+        });
+    });
+}
+
+// Compare the displayed event (left) with the one picked in #compareSelect (right)
+async function renderComparison() {
+    const compareFile = document.getElementById('compareSelect').value;
+    if (!compareFile || !currentData) {
+        closeComparison();
+        return;
+    }
+
+    const other = await fetchEventFile(compareFile);
+    showComparison(currentData, other);
+}
+
+function closeComparison() {
+    compareNetworks.forEach(instance => instance.destroy());
+    compareNetworks = [];
+    document.getElementById('compareContainer').style.display = 'none';
+    document.querySelector('.graph-layout').style.display = '';
+
+    // The main network may have been (re)built while hidden
+    if (network) {
+        network.redraw();
+        network.fit();
+    }
+}
+
+function tripleKey(item) {
+    return [normalizeNodeLabel(item.source), item.relation, normalizeNodeLabel(item.target)].join('\u0000');
+}
+
+// Index both events' triples and node labels by their normalised form
+function diffEventGraphs(left, right) {
+    const index = (data) => {
+        const triples = new Map();
+        const nodes = new Set();
+        (data.knowledge_graph_with_citations || []).forEach(item => {
+            triples.set(tripleKey(item), item);
+            nodes.add(normalizeNodeLabel(item.source));
+            nodes.add(normalizeNodeLabel(item.target));
+        });
+        return { triples, nodes };
+    };
+
+    const leftIndex = index(left);
+    const rightIndex = index(right);
+    const shared = [];
+    leftIndex.triples.forEach((item, key) => {
+        if (rightIndex.triples.has(key)) {
+            shared.push({ left: item, right: rightIndex.triples.get(key) });
+        }
+    });
+
+    return { left: leftIndex, right: rightIndex, shared };
+}
+
+// Graph elements for one pane: items missing from the other event are highlighted,
+// shared edges are labelled with both citation counts (left | right)
+function buildComparisonElements(data, own, other, isLeft) {
+    const lookup = {};
+    (data.nodes_with_citations || []).forEach(nodeItem => {
+        lookup[nodeItem.node] = nodeItem;
+    });
+
+    const { nodes, edges } = extractGraphElements(data.knowledge_graph_with_citations || [], lookup, data.start_dt);
+
+    edges.forEach(edge => {
+        const match = other.triples.get(tripleKey(edge.data));
+        if (match) {
+            const ownCount = edge.data.n_citations || 0;
+            const otherCount = match.n_citations || 0;
+            const counts = isLeft ? [ownCount, otherCount] : [otherCount, ownCount];
+            edge.label = `${edge.data.relation} (${counts[0]} | ${counts[1]})`;
+        } else {
+            edge.color = { color: COMPARE_UNIQUE_COLOR };
+            edge.dashes = true;
+        }
+    });
+
+    nodes.forEach(node => {
+        if (!other.nodes.has(normalizeNodeLabel(node.id))) {
+            node.borderWidth = 4;
+            node.color = {
+                background: '#fdebd0',
+                border: COMPARE_UNIQUE_COLOR,
+                highlight: { background: '#fad7a0', border: COMPARE_UNIQUE_COLOR }
+            };
+        }
+    });
+
+    return { nodes, edges };
+}
+
+function showComparison(left, right) {
+    left = canonicalizeGraph(left);
+    right = canonicalizeGraph(right);
+    const diff = diffEventGraphs(left, right);
+    const leftElements = buildComparisonElements(left, diff.left, diff.right, true);
+    const rightElements = buildComparisonElements(right, diff.right, diff.left, false);
+
+    compareNetworks.forEach(instance => instance.destroy());
+    document.querySelector('.graph-layout').style.display = 'none';
+    document.getElementById('compareContainer').style.display = 'block';
+
+    document.getElementById('compareLeftTitle').textContent = `${left.DisNo} - ${left.country}`;
+    document.getElementById('compareRightTitle').textContent = `${right.DisNo} - ${right.country}`;
+
+    compareNetworks = [
+        buildNetwork(document.getElementById('compareLeft'), leftElements.nodes, leftElements.edges),
+        buildNetwork(document.getElementById('compareRight'), rightElements.nodes, rightElements.edges)
+    ];
+    syncComparisonNetworks(compareNetworks[0], compareNetworks[1], leftElements.nodes, rightElements.nodes);
+
+    renderSharedTriples(diff.shared, left, right);
+}
+
+// Mirror camera moves and node selection between the two panes
+function syncComparisonNetworks(leftNetwork, rightNetwork, leftNodes, rightNodes) {
+    const mirror = (from, to, toNodes) => {
+        const copyView = () => {
+            to.moveTo({ position: from.getViewPosition(), scale: from.getScale() });
+        };
+        from.on('zoom', copyView);
+        from.on('dragEnd', copyView);
+
+        from.on('selectNode', params => {
+            const selected = new Set(params.nodes.map(normalizeNodeLabel));
+            to.selectNodes(toNodes
+                .filter(node => selected.has(normalizeNodeLabel(node.id)))
+                .map(node => node.id));
+        });
+        from.on('deselectNode', () => to.unselectAll());
+    };
+
+    mirror(leftNetwork, rightNetwork, rightNodes);
+    mirror(rightNetwork, leftNetwork, leftNodes);
+}
+
+function renderSharedTriples(shared, left, right) {
+    document.getElementById('sharedTripleCount').textContent = shared.length;
+    const table = document.getElementById('sharedTriples');
+
+    if (shared.length === 0) {
+        table.innerHTML = '<tr><td class="compare-empty">No triples appear in both events</td></tr>';
+        return;
+    }
+
+    table.innerHTML = `
+        <tr>
+            <th>Source</th>
+            <th>Relation</th>
+            <th>Target</th>
+            <th>${escapeHtml(left.country)}</th>
+            <th>${escapeHtml(right.country)}</th>
+        </tr>
+    ` + shared.map((pair, idx) => `
+        <tr data-shared-index="${idx}">
+            <td>${escapeHtml(pair.left.source)}</td>
+            <td>${escapeHtml(pair.left.relation)}</td>
+            <td>${escapeHtml(pair.left.target)}</td>
+            <td class="compare-count" data-side="left">${pair.left.n_citations || 0}</td>
+            <td class="compare-count" data-side="right">${pair.right.n_citations || 0}</td>
+        </tr>
+    `).join('');
+
+    // Clicking a count opens that event's version of the edge
+    table.querySelectorAll('.compare-count').forEach(cell => {
+        cell.addEventListener('click', function() {
+            const pair = shared[parseInt(this.parentElement.dataset.sharedIndex)];
+            showEdgeModal(this.dataset.side === 'left' ? pair.left : pair.right);
+        });
+    });
+}
+
+// ============================================================================
+// ENTITY RESOLUTION
+// ============================================================================
+
+function initializeEntityResolution() {
+    const toggleBtn = document.getElementById('toggleResolutionPanel');
+    const panel = document.getElementById('resolutionPanel');
+
+    entityAliases = loadEntityAliases();
+    document.getElementById('entitySimilarity').value = DEFAULT_ENTITY_SIMILARITY;
+
+    toggleBtn.addEventListener('click', () => {
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        renderAcceptedAliases();
+    });
+
+    document.getElementById('closeResolutionPanel').addEventListener('click', () => {
+        panel.style.display = 'none';
+    });
+
+    document.getElementById('findEntityMerges').addEventListener('click', handleFindEntityMerges);
+}
+
+function loadEntityAliases() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(ENTITY_ALIASES_STORAGE_KEY));
+        if (saved && saved.aliases) {
+            return { aliases: saved.aliases, rejected: saved.rejected || [] };
+        }
+    } catch (error) {
+        console.warn('Ignoring unreadable entity aliases:', error);
+    }
+    return { aliases: {}, rejected: [] };
+}
+
+function saveEntityAliases() {
+    localStorage.setItem(ENTITY_ALIASES_STORAGE_KEY, JSON.stringify(entityAliases));
+}
+
+// Canonical label chosen for an aliased node, or null when the label is not aliased
+function canonicalNodeLabel(label) {
+    return entityAliases.aliases[basicNodeKey(label)] || null;
+}
+
+// Lowercased label with every word singularised: "Heavy Rains" -> "heavy rain"
+function lexicalEntityKey(label) {
+    return basicNodeKey(label).split(' ').map(singularizeWord).join(' ');
+}
+
+function singularizeWord(word) {
+    if (word.length <= 3) return word;
+    if (/ies$/.test(word)) return word.slice(0, -3) + 'y';
+    if (/(ches|shes|xes|sses)$/.test(word)) return word.slice(0, -2);
+    if (/(ss|us|is)$/.test(word)) return word;
+    if (/s$/.test(word)) return word.slice(0, -1);
+    return word;
+}
+
+// Rewrite node labels through the alias map. Triples or nodes that collapse onto the
+// same canonical concept are combined like merged-hazard items.
+function canonicalizeGraph(data) {
+    if (Object.keys(entityAliases.aliases).length === 0) return data;
+
+    const relabel = (label) => canonicalNodeLabel(label) || label;
+    const noOrigins = [null];
+
+    const edgeGroups = groupByKey([data], noOrigins, 'knowledge_graph_with_citations', tripleKey);
+    const nodeGroups = groupByKey([data], noOrigins, 'nodes_with_citations', item => normalizeNodeLabel(item.node));
+
+    const edges = edgeGroups.map(group => {
+        const first = group[0].item;
+        const relabeled = { ...first, source: relabel(first.source), target: relabel(first.target) };
+        if (group.length === 1) return relabeled;
+
+        return {
+            ...relabeled,
+            ...combineAnswers(group.map(({ item }) => ({
+                heading: `${item.source} → ${item.target}`,
+                item: item
+            }))),
+            ...(first.origins ? { origins: mergeOrigins(group.map(({ item }) => item.origins)) } : {})
+        };
+    });
+
+    const nodes = nodeGroups.map(group => {
+        const first = group[0].item;
+        const relabeled = { ...first, node: relabel(first.node) };
+        if (group.length === 1) return relabeled;
+
+        return {
+            ...relabeled,
+            ...combineAnswers(group.map(({ item }) => ({ heading: item.node, item: item }))),
+            ...(first.origins ? { origins: mergeOrigins(group.map(({ item }) => item.origins)) } : {})
+        };
+    });
+
+    return {
+        ...data,
+        knowledge_graph_with_citations: edges,
+        nodes_with_citations: nodes,
+        n_links: edges.length,
+        n_nodes: nodes.length
+    };
+}
+
+// Union per-country origin lists, summing citation counts per event
+function mergeOrigins(originLists) {
+    const byEvent = new Map();
+    originLists.forEach(origins => {
+        (origins || []).forEach(origin => {
+            const entry = byEvent.get(origin.DisNo) || { ...origin, n_citations: 0 };
+            entry.n_citations += origin.n_citations;
+            byEvent.set(origin.DisNo, entry);
+        });
+    });
+    return Array.from(byEvent.values());
+}
+
+// Node labels of the displayed graph with how often each occurs in its triples
+function collectNodeLabels(data) {
+    const counts = new Map();
+    (data.knowledge_graph_with_citations || []).forEach(item => {
+        [item.source, item.target].forEach(label => {
+            const key = normalizeNodeLabel(label);
+            const entry = counts.get(key) || { label: canonicalNodeLabel(label) || label, count: 0 };
+            entry.count++;
+            counts.set(key, entry);
+        });
+    });
+    return Array.from(counts.values());
+}
+
+async function handleFindEntityMerges() {
+    const statusDiv = document.getElementById('resolutionStatus');
+
+    if (!currentData) {
+        statusDiv.innerHTML = '<span style="color: #e74c3c;">⚠️ Please select an event first</span>';
+        return;
+    }
+
+    const threshold = parseFloat(document.getElementById('entitySimilarity').value) || DEFAULT_ENTITY_SIMILARITY;
+    const labels = collectNodeLabels(currentData);
+
+    // Semantic clustering reuses the query encoder of the current event's embeddings
+    let encoder = null;
+    try {
+        statusDiv.innerHTML = '<span style="color: #3498db;">📦 Loading embedding model...</span>';
+        encoder = await getQueryEncoder(await ensureEmbeddings(currentEventId));
+    } catch (error) {
+        console.warn('Entity resolution without embeddings:', error.message);
+    }
+
+    try {
+        statusDiv.innerHTML = '<span style="color: #3498db;">🔗 Comparing node labels...</span>';
+        entityProposals = await proposeEntityMerges(labels, encoder, threshold);
+        renderEntityProposals();
+
+        const note = encoder ? '' : ' (case/plural only - embedding model unavailable)';
+        statusDiv.innerHTML = `<span style="color: #2ecc71;">✅ ${entityProposals.length} merge proposals${note}</span>`;
+    } catch (error) {
+        console.error('Error proposing entity merges:', error);
+        statusDiv.innerHTML = `<span style="color: #e74c3c;">❌ Error: ${escapeHtml(error.message)}</span>`;
+    }
+}
+
+// Cluster labels that share a singular lowercase form, then labels whose embeddings
+// are at least `threshold` similar. Previously rejected clusters are not proposed again.
+async function proposeEntityMerges(labels, encoder, threshold) {
+    const proposals = [];
+
+    const lexicalGroups = new Map();
+    labels.forEach(entry => {
+        const key = lexicalEntityKey(entry.label);
+        if (!lexicalGroups.has(key)) lexicalGroups.set(key, []);
+        lexicalGroups.get(key).push(entry);
+    });
+    lexicalGroups.forEach(group => {
+        if (group.length > 1) proposals.push(makeEntityProposal(group, 'Same word after case/plural normalisation'));
+    });
+
+    if (encoder) {
+        // One representative per lexical group, compared pairwise
+        const representatives = Array.from(lexicalGroups.values());
+        const vectors = [];
+        for (const group of representatives) {
+            vectors.push(await embedQuery(encoder, group[0].label, ''));
+        }
+
+        const parent = representatives.map((_, idx) => idx);
+        const find = (idx) => parent[idx] === idx ? idx : (parent[idx] = find(parent[idx]));
+        const similarity = {};
+
+        for (let i = 0; i < vectors.length; i++) {
+            for (let j = i + 1; j < vectors.length; j++) {
+                const score = cosineSimilarity(vectors[i], vectors[j]);
+                if (score >= threshold) {
+                    parent[find(j)] = find(i);
+                    similarity[`${i}:${j}`] = score;
+                }
+            }
+        }
+
+        const clusters = new Map();
+        representatives.forEach((group, idx) => {
+            const root = find(idx);
+            if (!clusters.has(root)) clusters.set(root, { members: [], indices: [] });
+            clusters.get(root).members.push(...group);
+            clusters.get(root).indices.push(idx);
+        });
+
+        clusters.forEach(cluster => {
+            if (cluster.indices.length < 2) return;
+            const scores = Object.entries(similarity)
+                .filter(([pair]) => pair.split(':').every(idx => cluster.indices.includes(Number(idx))))
+                .map(([, score]) => score);
+            const best = Math.max(...scores);
+            proposals.push(makeEntityProposal(cluster.members, `Similar meaning (cosine ${best.toFixed(2)})`));
+        });
+    }
+
+    return proposals.filter(proposal => !entityAliases.rejected.includes(proposal.id));
+}
+
+// The most frequent label (then the shortest) is suggested as canonical
+function makeEntityProposal(entries, reason) {
+    const sorted = [...entries].sort((a, b) => b.count - a.count || a.label.length - b.label.length);
+    const labels = sorted.map(entry => entry.label);
+    return {
+        id: labels.map(basicNodeKey).sort().join('|'),
+        labels: labels,
+        canonical: labels[0],
+        reason: reason
+    };
+}
+
+function renderEntityProposals() {
+    const list = document.getElementById('entityProposals');
+
+    if (entityProposals.length === 0) {
+        list.innerHTML = '<div class="proposal-empty">No merge proposals for this graph</div>';
+        return;
+    }
+
+    list.innerHTML = entityProposals.map((proposal, idx) => `
+        <div class="proposal-item" data-proposal-index="${idx}">
+            <div class="proposal-labels">
+                ${proposal.labels.map(label => `<span class="proposal-chip">${escapeHtml(label)}</span>`).join('')}
+            </div>
+            <div class="proposal-reason">${escapeHtml(proposal.reason)}</div>
+            <div class="proposal-actions">
+                <label>Merge into:
+                    <select class="proposal-canonical provider-select">
+                        ${proposal.labels.map(label => `<option value="${escapeHtml(label)}">${escapeHtml(label)}</option>`).join('')}
+                    </select>
+                </label>
+                <button class="proposal-accept">✔ Accept</button>
+                <button class="proposal-reject">✖ Reject</button>
+            </div>
+        </div>
+    `).join('');
+
+    list.querySelectorAll('.proposal-item').forEach(item => {
+        const proposal = entityProposals[parseInt(item.dataset.proposalIndex)];
+        item.querySelector('.proposal-accept').addEventListener('click', () => {
+            acceptEntityProposal(proposal, item.querySelector('.proposal-canonical').value);
+        });
+        item.querySelector('.proposal-reject').addEventListener('click', () => {
+            rejectEntityProposal(proposal);
+        });
+    });
+}
+
+function acceptEntityProposal(proposal, canonical) {
+    // Re-point existing aliases of the merged labels so chains collapse to one concept
+    const mergedKeys = new Set(proposal.labels.map(basicNodeKey));
+    Object.entries(entityAliases.aliases).forEach(([key, target]) => {
+        if (mergedKeys.has(basicNodeKey(target))) {
+            entityAliases.aliases[key] = canonical;
+        }
+    });
+    proposal.labels.forEach(label => {
+        entityAliases.aliases[basicNodeKey(label)] = canonical;
+    });
+
+    resolveEntityProposal(proposal);
+}
+
+function rejectEntityProposal(proposal) {
+    entityAliases.rejected.push(proposal.id);
+    resolveEntityProposal(proposal);
+}
+
+function resolveEntityProposal(proposal) {
+    saveEntityAliases();
+    entityProposals = entityProposals.filter(other => other !== proposal);
+    renderEntityProposals();
+    refreshAliasedViews();
+}
+
+function removeEntityAlias(key) {
+    const canonical = entityAliases.aliases[key];
+    delete entityAliases.aliases[key];
+
+    // Drop the canonical's self-entry once nothing else points at it
+    const canonicalKey = basicNodeKey(canonical);
+    const stillUsed = Object.entries(entityAliases.aliases)
+        .some(([other, target]) => other !== canonicalKey && basicNodeKey(target) === canonicalKey);
+    if (!stillUsed) {
+        delete entityAliases.aliases[canonicalKey];
+    }
+
+    saveEntityAliases();
+    refreshAliasedViews();
+}
+
+// Redraw everything that depends on the alias map
+function refreshAliasedViews() {
+    renderAcceptedAliases();
+    if (!currentData) return;
+
+    visualizeKnowledgeGraph(currentData);
+    if (document.getElementById('compareSelect').value) {
+        renderComparison().catch(error => console.error('Error refreshing comparison:', error));
+    }
+}
+
+function renderAcceptedAliases() {
+    const list = document.getElementById('acceptedAliases');
+    const entries = Object.entries(entityAliases.aliases)
+        .filter(([key, canonical]) => key !== basicNodeKey(canonical));
+
+    if (entries.length === 0) {
+        list.innerHTML = '<div class="proposal-empty">No aliases accepted yet</div>';
+        return;
+    }
+
+    list.innerHTML = entries.map(([key, canonical]) => `
+        <div class="alias-item">
+            <span>${escapeHtml(key)} → <strong>${escapeHtml(canonical)}</strong></span>
+            <button class="alias-remove" data-alias-key="${escapeHtml(key)}" title="Remove alias">✕</button>
+        </div>
+    `).join('');
+
+    list.querySelectorAll('.alias-remove').forEach(button => {
+        button.addEventListener('click', () => removeEntityAlias(button.dataset.aliasKey));
+    });
+}
+
+// ============================================================================
+// GRAPH HIGHLIGHTING
+// ============================================================================
+
+// Emphasise the given nodes and edges of the main network and dim the rest.
+// `edgeColors` optionally overrides the colour of individual highlighted edges.
+function highlightGraphElements(nodeIds, edgeIds, edgeColors = {}) {
+    if (!networkNodes) return;
+
+    const nodeSet = new Set(nodeIds);
+    const edgeSet = new Set(edgeIds);
+
+    networkNodes.update(graphElements.nodes.map(node => nodeSet.has(node.id)
+        ? { id: node.id, color: node.color, font: node.font, borderWidth: 3 }
+        : {
+            id: node.id,
+            color: { background: DIMMED_COLOR, border: DIMMED_COLOR, highlight: { background: DIMMED_COLOR, border: DIMMED_COLOR } },
+            font: { ...node.font, color: '#bdc3c7' },
+            borderWidth: 1
+        }
+    ));
+
+    networkEdges.update(graphElements.edges.map(edge => edgeSet.has(edge.id)
+        ? { id: edge.id, color: { color: edgeColors[edge.id] || HIGHLIGHT_EDGE_COLOR }, width: edge.width + 2, font: edge.font }
+        : { id: edge.id, color: { color: DIMMED_COLOR }, width: 1, font: { ...edge.font, color: '#bdc3c7' } }
+    ));
+}
+
+// Restore every node and edge to its original style
+function clearGraphHighlight() {
+    if (!networkNodes) return;
+
+    networkNodes.update(graphElements.nodes.map(node => ({
+        id: node.id, color: node.color, font: node.font, borderWidth: node.borderWidth || 1
+    })));
+    networkEdges.update(graphElements.edges.map(edge => ({
+        id: edge.id, color: edge.color, width: edge.width, font: edge.font
+    })));
+}
+
+// Set the ids one visibility layer hides (`null` clears it) and apply all layers
+// to the main network
+function setHiddenGraphLayer(name, layer) {
+    hiddenGraphLayers[name] = layer;
+    if (!networkNodes) return;
+
+    const layers = Object.values(hiddenGraphLayers).filter(Boolean);
+    networkEdges.update(graphElements.edges.map(edge => ({
+        id: edge.id, hidden: layers.some(hidden => hidden.edges.has(edge.id))
+    })));
+    networkNodes.update(graphElements.nodes.map(node => ({
+        id: node.id, hidden: layers.some(hidden => hidden.nodes.has(node.id))
+    })));
+}
+
+// ============================================================================
+// CAUSAL PATH EXPLORER
+// ============================================================================
+
+function initializePathExplorer() {
+    const panel = document.getElementById('pathPanel');
+
+    document.getElementById('togglePathPanel').addEventListener('click', () => {
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        if (network) network.redraw();
+    });
+
+    document.getElementById('closePathPanel').addEventListener('click', () => {
+        panel.style.display = 'none';
+        clearCausalPaths();
+    });
+
+    document.getElementById('findPaths').addEventListener('click', handleFindPaths);
+    document.getElementById('clearPaths').addEventListener('click', clearCausalPaths);
+}
+
+// Fill the source/target pickers with the displayed graph's nodes
+function populatePathSelectors(nodes) {
+    const labels = nodes.map(node => node.id).sort((a, b) => String(a).localeCompare(String(b)));
+
+    ['pathSource', 'pathTarget'].forEach(id => {
+        const select = document.getElementById(id);
+        const previous = select.value;
+        select.innerHTML = '<option value="">-- Select node --</option>';
+        labels.forEach(label => {
+            const option = document.createElement('option');
+            option.value = label;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+        if (labels.includes(previous)) select.value = previous;
+    });
+
+    causalPaths = [];
+    renderCausalPaths();
+}
+
+function handleFindPaths() {
+    const source = document.getElementById('pathSource').value;
+    const target = document.getElementById('pathTarget').value;
+    const statusDiv = document.getElementById('pathStatus');
+
+    if (!source || !target) {
+        statusDiv.innerHTML = '<span style="color: #e74c3c;">⚠️ Please pick a source and a target node</span>';
+        return;
+    }
+    if (source === target) {
+        statusDiv.innerHTML = '<span style="color: #e74c3c;">⚠️ Source and target must differ</span>';
+        return;
+    }
+
+    const { paths, truncated } = findCausalPaths(graphElements.edges, source, target);
+    causalPaths = paths;
+
+    if (paths.length === 0) {
+        statusDiv.innerHTML = '<span style="color: #f39c12;">No directed path connects these nodes</span>';
+        clearGraphHighlight();
+    } else {
+        const blocked = paths.filter(path => path.blockedBy).length;
+        const limit = truncated ? ` (first ${MAX_PATHS} shown)` : '';
+        statusDiv.innerHTML = `<span style="color: #2ecc71;">✅ ${paths.length} paths${limit}, ${blocked} blocked by a prevents edge</span>`;
+        highlightCausalPaths(paths);
+    }
+
+    renderCausalPaths();
+}
+
+// Enumerate simple directed paths from `source` to `target` (depth-first, at most
+// MAX_PATH_HOPS hops). A path is blocked when one of its hops is a `prevents` edge.
+function findCausalPaths(edges, source, target) {
+    const outgoing = new Map();
+    edges.forEach(edge => {
+        if (!outgoing.has(edge.from)) outgoing.set(edge.from, []);
+        outgoing.get(edge.from).push(edge);
+    });
+
+    const paths = [];
+    let truncated = false;
+    const visited = new Set([source]);
+    const hops = [];
+
+    const walk = (nodeId) => {
+        if (truncated) return;
+        if (nodeId === target) {
+            // One path past the limit is enough to know the list was cut off
+            if (paths.length >= MAX_PATHS) {
+                truncated = true;
+                return;
+            }
+            const blocking = hops.find(edge => edge.data.relation === 'prevents');
+            paths.push({ edges: [...hops], blockedBy: blocking || null });
+            return;
+        }
+        if (hops.length >= MAX_PATH_HOPS) return;
+
+        (outgoing.get(nodeId) || []).forEach(edge => {
+            if (visited.has(edge.to)) return;
+            visited.add(edge.to);
+            hops.push(edge);
+            walk(edge.to);
+            hops.pop();
+            visited.delete(edge.to);
+        });
+    };
+    walk(source);
+
+    // Open causal chains first, shortest first
+    paths.sort((a, b) => Boolean(a.blockedBy) - Boolean(b.blockedBy) || a.edges.length - b.edges.length);
+    return { paths, truncated };
+}
+
+function highlightCausalPaths(paths) {
+    const nodeIds = new Set();
+    const edgeIds = new Set();
+    const edgeColors = {};
+
+    paths.forEach(path => {
+        path.edges.forEach(edge => {
+            nodeIds.add(edge.from);
+            nodeIds.add(edge.to);
+            edgeIds.add(edge.id);
+            if (path.blockedBy && path.blockedBy.id === edge.id) {
+                edgeColors[edge.id] = BLOCKED_PATH_COLOR;
+            }
+        });
+    });
+
+    highlightGraphElements(Array.from(nodeIds), Array.from(edgeIds), edgeColors);
+}
+
+function clearCausalPaths() {
+    causalPaths = [];
+    document.getElementById('pathStatus').innerHTML = '';
+    renderCausalPaths();
+    clearGraphHighlight();
+}
+
+// List every path with each hop's pre-computed answer and clickable citations
+function renderCausalPaths() {
+    const list = document.getElementById('pathList');
+
+    list.innerHTML = causalPaths.map((path, pathIdx) => `
+        <div class="path-item${path.blockedBy ? ' path-blocked' : ''}" data-path-index="${pathIdx}">
+            <div class="path-header">
+                <strong>Path ${pathIdx + 1}</strong> · ${path.edges.length} hop${path.edges.length === 1 ? '' : 's'}
+                ${path.blockedBy ? `<span class="path-flag">⛔ blocked: ${escapeHtml(path.blockedBy.from)} prevents ${escapeHtml(path.blockedBy.to)}</span>` : ''}
+            </div>
+            ${path.edges.map((edge, hopIdx) => `
+                <div class="path-hop" data-hop-index="${hopIdx}">
+                    <div class="path-hop-title">
+                        ${escapeHtml(edge.from)} <span class="path-relation">—${escapeHtml(edge.data.relation)}→</span> ${escapeHtml(edge.to)}
+                    </div>
+                    <div class="path-hop-answer">${processCitationsInText(escapeHtml(edge.data.answer || 'No answer available'), edge.data.citations || [])}</div>
+                </div>
+            `).join('')}
+        </div>
+    `).join('');
+
+    list.querySelectorAll('.path-item').forEach(item => {
+        const path = causalPaths[parseInt(item.dataset.pathIndex)];
+
+        // Clicking a path header highlights only that path
+        item.querySelector('.path-header').addEventListener('click', () => highlightCausalPaths([path]));
+
+        item.querySelectorAll('.path-hop').forEach(hop => {
+            const edge = path.edges[parseInt(hop.dataset.hopIndex)];
+            bindCitationSpans(hop, edge.data.citations || []);
+            hop.querySelector('.path-hop-title').addEventListener('click', () => showEdgeModal(edge.data));
+        });
+    });
+}
+
+// ============================================================================
+// GRAPH EXPORT
+// ============================================================================
+
+const EXPORT_FORMATS = {
+    turtle: { extension: 'ttl', mimeType: 'text/turtle', serialize: (model) => toTurtle(model) },
+    jsonld: { extension: 'jsonld', mimeType: 'application/ld+json', serialize: (model) => toJsonLd(model) },
+    graphml: { extension: 'graphml', mimeType: 'application/xml', serialize: (model) => toGraphML(model) },
+    'csv-nodes': { extension: 'nodes.csv', mimeType: 'text/csv', serialize: (model) => toNodeCsv(model) },
+    'csv-edges': { extension: 'edges.csv', mimeType: 'text/csv', serialize: (model) => toEdgeCsv(model) }
+};
+
+function initializeGraphExport() {
+    document.getElementById('exportGraph').addEventListener('click', () => {
+        if (!currentData) {
+            alert('Select an event before exporting its graph');
+            return;
+        }
+
+        const format = EXPORT_FORMATS[document.getElementById('exportFormat').value];
+        const model = buildExportModel(canonicalizeGraph(currentData));
+        const filename = `${model.event.DisNo.replace(/[^\w-]+/g, '_')}_graph.${format.extension}`;
+        downloadFile(filename, format.serialize(model), format.mimeType);
+    });
+}
+
+function downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+// Format-neutral view of the displayed graph: nodes, relation edges and the articles
+// their citations come from. Every element gets an IRI for the RDF formats.
+function buildExportModel(data) {
+    const eventId = String(data.DisNo || 'event').replace(/[^\w-]+/g, '_');
+    const eventIri = `${EXPORT_BASE_IRI}event/${eventId}`;
+    const nodeIri = (label) => `${eventIri}/node/${encodeURIComponent(normalizeNodeLabel(label).replace(/ /g, '_'))}`;
+    const articles = new Map();
+
+    // Absolute article URLs are their own IRIs (percent-encoded by URL); anything else,
+    // including a relative or malformed URL, gets an IRI under the base
+    const articleIri = (url, key) => {
+        try {
+            return new URL(url).href;
+        } catch (error) {
+            return `${EXPORT_BASE_IRI}article/${encodeURIComponent(key)}`;
+        }
+    };
+
+    // Citations become article references, keyed by guid (or URL) so repeats collapse
+    const articleRefs = (citations) => {
+        const keys = [];
+        (citations || []).forEach(cit => {
+            const metadata = cit.metadata || {};
+            const key = metadata.guid || metadata.url || metadata.title;
+            if (!key) return;
+            if (!articles.has(key)) {
+                articles.set(key, {
+                    iri: articleIri(metadata.url || '', key),
+                    url: metadata.url || '',
+                    title: metadata.title || '',
+                    pubdate: metadata.pubdate || '',
+                    source: metadata.source || '',
+                    guid: metadata.guid || ''
+                });
+            }
+            if (!keys.includes(key)) keys.push(key);
+        });
+        return keys;
+    };
+
+    const nodeInfo = {};
+    (data.nodes_with_citations || []).forEach(item => {
+        nodeInfo[item.node] = item;
+    });
+
+    const kgData = data.knowledge_graph_with_citations || [];
+    const labels = [];
+    kgData.forEach(item => {
+        [item.source, item.target].forEach(label => {
+            if (!labels.includes(label)) labels.push(label);
+        });
+    });
+
+    const nodes = labels.map(label => {
+        const info = nodeInfo[label] || {};
+        return {
+            iri: nodeIri(label),
+            label: label,
+            question: info.question || '',
+            answer: info.answer || '',
+            nCitations: info.n_citations || 0,
+            articles: articleRefs(info.citations)
+        };
+    });
+
+    const edges = kgData.map((item, idx) => ({
+        iri: `${eventIri}/edge/${idx}`,
+        id: idx,
+        source: item.source,
+        target: item.target,
+        sourceIri: nodeIri(item.source),
+        targetIri: nodeIri(item.target),
+        relation: item.relation,
+        relationIri: `${EXPORT_PREFIXES.kg}${encodeURIComponent(String(item.relation).replace(/\s+/g, '_'))}`,
+        question: item.question || '',
+        answer: item.answer || '',
+        nCitations: item.n_citations || 0,
+        articles: articleRefs(item.citations)
+    }));
+
+    return {
+        event: {
+            iri: eventIri,
+            DisNo: String(data.DisNo || 'event'),
+            disasterType: data.disaster_type || '',
+            country: data.country || '',
+            location: data.location || '',
+            startDate: data.start_dt || ''
+        },
+        nodes,
+        edges,
+        articles
+    };
+}
+
+function turtleLiteral(value) {
+    return `"${String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '\\r')
+        .replace(/\t/g, '\\t')}"`;
+}
+
+function turtleDate(value) {
+    return /T/.test(value) ? `${turtleLiteral(value)}^^xsd:dateTime` : `${turtleLiteral(value)}^^xsd:date`;
+}
+
+// Turtle: plain `source relation target` triples, plus one reified rdf:Statement per
+// edge carrying the question, answer and prov:wasDerivedFrom links to the articles
+function toTurtle(model) {
+    const lines = Object.entries(EXPORT_PREFIXES).map(([prefix, iri]) => `@prefix ${prefix}: <${iri}> .`);
+    const articleIri = (key) => `<${model.articles.get(key).iri}>`;
+    const provenance = (keys) => keys.length ? ` ;\n    prov:wasDerivedFrom ${keys.map(articleIri).join(', ')}` : '';
+    const { event } = model;
+
+    lines.push('');
+    lines.push(`<${event.iri}> a kg:DisasterEvent ;\n    rdfs:label ${turtleLiteral(event.DisNo)} ;\n    kg:disasterType ${turtleLiteral(event.disasterType)} ;\n    kg:country ${turtleLiteral(event.country)} ;\n    kg:location ${turtleLiteral(event.location)}` +
+        (event.startDate ? ` ;\n    kg:startDate ${turtleDate(event.startDate)}` : '') + ' .');
+
+    model.nodes.forEach(node => {
+        lines.push('');
+        lines.push(`<${node.iri}> a kg:Concept ;\n    rdfs:label ${turtleLiteral(node.label)} ;\n    kg:event <${event.iri}> ;\n    kg:nCitations ${node.nCitations}` +
+            (node.question ? ` ;\n    kg:question ${turtleLiteral(node.question)}` : '') +
+            (node.answer ? ` ;\n    kg:answer ${turtleLiteral(node.answer)}` : '') +
+            provenance(node.articles) + ' .');
+    });
+
+    model.edges.forEach(edge => {
+        lines.push('');
+        lines.push(`<${edge.sourceIri}> <${edge.relationIri}> <${edge.targetIri}> .`);
+        lines.push(`<${edge.iri}> a rdf:Statement ;\n    rdf:subject <${edge.sourceIri}> ;\n    rdf:predicate <${edge.relationIri}> ;\n    rdf:object <${edge.targetIri}> ;\n    kg:event <${event.iri}> ;\n    kg:nCitations ${edge.nCitations}` +
+            (edge.question ? ` ;\n    kg:question ${turtleLiteral(edge.question)}` : '') +
+            (edge.answer ? ` ;\n    kg:answer ${turtleLiteral(edge.answer)}` : '') +
+            provenance(edge.articles) + ' .');
+    });
+
+    model.articles.forEach(article => {
+        lines.push('');
+        lines.push(`<${article.iri}> a prov:Entity` +
+            (article.title ? ` ;\n    dcterms:title ${turtleLiteral(article.title)}` : '') +
+            (article.url ? ` ;\n    dcterms:source ${turtleLiteral(article.url)}` : '') +
+            (article.pubdate ? ` ;\n    dcterms:date ${turtleDate(article.pubdate)}` : '') +
+            (article.source ? ` ;\n    dcterms:publisher ${turtleLiteral(article.source)}` : '') +
+            (article.guid ? ` ;\n    dcterms:identifier ${turtleLiteral(article.guid)}` : '') + ' .');
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+// JSON-LD with the same vocabulary as the Turtle export
+function toJsonLd(model) {
+    const articleRef = (key) => ({ '@id': model.articles.get(key).iri });
+    const { event } = model;
+
+    const graph = [
+        {
+            '@id': event.iri,
+            '@type': 'kg:DisasterEvent',
+            'rdfs:label': event.DisNo,
+            'kg:disasterType': event.disasterType,
+            'kg:country': event.country,
+            'kg:location': event.location,
+            'kg:startDate': event.startDate
+        },
+        ...model.nodes.map(node => ({
+            '@id': node.iri,
+            '@type': 'kg:Concept',
+            'rdfs:label': node.label,
+            'kg:event': { '@id': event.iri },
+            'kg:nCitations': node.nCitations,
+            'kg:question': node.question,
+            'kg:answer': node.answer,
+            'prov:wasDerivedFrom': node.articles.map(articleRef)
+        })),
+        ...model.edges.map(edge => ({
+            '@id': edge.iri,
+            '@type': 'rdf:Statement',
+            'rdf:subject': { '@id': edge.sourceIri },
+            'rdf:predicate': { '@id': edge.relationIri },
+            'rdf:object': { '@id': edge.targetIri },
+            'kg:relation': edge.relation,
+            'kg:event': { '@id': event.iri },
+            'kg:nCitations': edge.nCitations,
+            'kg:question': edge.question,
+            'kg:answer': edge.answer,
+            'prov:wasDerivedFrom': edge.articles.map(articleRef)
+        })),
+        ...Array.from(model.articles.values()).map(article => ({
+            '@id': article.iri,
+            '@type': 'prov:Entity',
+            'dcterms:title': article.title,
+            'dcterms:source': article.url,
+            'dcterms:date': article.pubdate,
+            'dcterms:publisher': article.source,
+            'dcterms:identifier': article.guid
+        }))
+    ];
+
+    return JSON.stringify({ '@context': EXPORT_PREFIXES, '@graph': graph }, null, 2);
+}
+
+function xmlEscape(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Article URLs and publication dates of an element, joined for single-cell formats
+function articleColumns(model, keys) {
+    const articles = keys.map(key => model.articles.get(key));
+    return {
+        urls: articles.map(article => article.url).filter(Boolean).join('; '),
+        pubdates: articles.map(article => article.pubdate).filter(Boolean).join('; ')
+    };
+}
+
+// GraphML for Gephi and other graph tools
+function toGraphML(model) {
+    const nodeIds = new Map(model.nodes.map((node, idx) => [node.label, `n${idx}`]));
+    const data = (key, value) => `      <data key="${key}">${xmlEscape(value)}</data>`;
+
+    const keys = [
+        ['label', 'node', 'string'], ['question', 'node', 'string'], ['answer', 'node', 'string'],
+        ['n_citations', 'node', 'int'], ['citation_urls', 'node', 'string'], ['citation_pubdates', 'node', 'string'],
+        ['relation', 'edge', 'string'], ['e_question', 'edge', 'string'], ['e_answer', 'edge', 'string'],
+        ['e_n_citations', 'edge', 'int'], ['e_citation_urls', 'edge', 'string'], ['e_citation_pubdates', 'edge', 'string']
+    ].map(([id, domain, type]) =>
+        `  <key id="${id}" for="${domain}" attr.name="${id.replace(/^e_/, '')}" attr.type="${type}"/>`
+    );
+
+    const nodes = model.nodes.map(node => {
+        const { urls, pubdates } = articleColumns(model, node.articles);
+        return [
+            `    <node id="${nodeIds.get(node.label)}">`,
+            data('label', node.label),
+            data('question', node.question),
+            data('answer', node.answer),
+            data('n_citations', node.nCitations),
+            data('citation_urls', urls),
+            data('citation_pubdates', pubdates),
+            '    </node>'
+        ].join('\n');
+    });
+
+    const edges = model.edges.map(edge => {
+        const { urls, pubdates } = articleColumns(model, edge.articles);
+        return [
+            `    <edge id="e${edge.id}" source="${nodeIds.get(edge.source)}" target="${nodeIds.get(edge.target)}">`,
+            data('relation', edge.relation),
+            data('e_question', edge.question),
+            data('e_answer', edge.answer),
+            data('e_n_citations', edge.nCitations),
+            data('e_citation_urls', urls),
+            data('e_citation_pubdates', pubdates),
+            '    </edge>'
+        ].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+        ...keys,
+        `  <graph id="${xmlEscape(model.event.DisNo)}" edgedefault="directed">`,
+        ...nodes,
+        ...edges,
+        '  </graph>',
+        '</graphml>'
+    ].join('\n') + '\n';
+}
+
+function csvRow(values) {
+    return values.map(value => {
+        const text = String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+}
+
+function toNodeCsv(model) {
+    const rows = [csvRow(['id', 'label', 'n_citations', 'question', 'answer', 'citation_urls', 'citation_pubdates'])];
+    model.nodes.forEach(node => {
+        const { urls, pubdates } = articleColumns(model, node.articles);
+        rows.push(csvRow([node.iri, node.label, node.nCitations, node.question, node.answer, urls, pubdates]));
+    });
+    return rows.join('\r\n') + '\r\n';
+}
+
+function toEdgeCsv(model) {
+    const rows = [csvRow(['id', 'source', 'relation', 'target', 'n_citations', 'question', 'answer', 'citation_urls', 'citation_pubdates'])];
+    model.edges.forEach(edge => {
+        const { urls, pubdates } = articleColumns(model, edge.articles);
+        rows.push(csvRow([edge.iri, edge.source, edge.relation, edge.target, edge.nCitations, edge.question, edge.answer, urls, pubdates]));
+    });
+    return rows.join('\r\n') + '\r\n';
+}
+
+// ============================================================================
+// PATTERN QUERIES
+// ============================================================================
+//
+// One triple pattern per line (or separated by " . "):  subject relation object
+//   ?x              variable, joined across patterns within the same event
+//   flooding        node or relation label (quote labels with spaces: "heavy rainfall")
+//   ~flood          label containing the text (also ~"storm surge")
+// plus optional filters:  FILTER event = 2017-0381   FILTER country = Haiti
+
+function initializePatternQuery() {
+    const panel = document.getElementById('patternPanel');
+
+    document.getElementById('togglePatternPanel').addEventListener('click', () => {
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    });
+
+    document.getElementById('closePatternPanel').addEventListener('click', () => {
+        panel.style.display = 'none';
+    });
+
+    document.getElementById('runPatternQuery').addEventListener('click', handlePatternQuery);
+    document.getElementById('patternQuery').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            handlePatternQuery();
+        }
+    });
+}
+
+async function handlePatternQuery() {
+    const statusDiv = document.getElementById('patternStatus');
+    const scope = document.getElementById('patternScope').value;
+
+    let query;
+    try {
+        query = parsePatternQuery(document.getElementById('patternQuery').value);
+    } catch (error) {
+        statusDiv.innerHTML = `<span style="color: #e74c3c;">⚠️ ${escapeHtml(error.message)}</span>`;
+        return;
+    }
+
+    if (scope === 'current' && !currentData) {
+        statusDiv.innerHTML = '<span style="color: #e74c3c;">⚠️ Please select an event first, or query all events</span>';
+        return;
+    }
+
+    try {
+        let graphs;
+        if (scope === 'all') {
+            statusDiv.innerHTML = `<span style="color: #3498db;">📊 Loading ${eventsIndex.length} event graphs...</span>`;
+            graphs = (await loadAllEventGraphs()).map(data => patternGraph(canonicalizeGraph(data)));
+        } else {
+            graphs = [patternGraph(canonicalizeGraph(currentData))];
+        }
+
+        const { solutions, truncated } = evaluatePatternQuery(query, graphs);
+        patternSolutions = solutions;
+        renderPatternResults(query, solutions);
+
+        const limit = truncated ? ` (first ${MAX_PATTERN_SOLUTIONS} shown)` : '';
+        statusDiv.innerHTML = `<span style="color: #2ecc71;">✅ ${solutions.length} results${limit}</span>`;
+
+        if (solutions.length > 0) {
+            highlightTriples(solutions.flatMap(solution => solution.triples));
+        } else {
+            clearGraphHighlight();
+        }
+    } catch (error) {
+        console.error('Error running pattern query:', error);
+        statusDiv.innerHTML = `<span style="color: #e74c3c;">❌ Error: ${escapeHtml(error.message)}</span>`;
+    }
+}
+
+// Fetch every event listed in index.json once
+function loadAllEventGraphs() {
+    if (!allEventGraphsLoading) {
+        allEventGraphsLoading = Promise.all(eventsIndex.map(event => fetchEventFile(event.file)))
+            .catch(error => {
+                allEventGraphsLoading = null;
+                throw error;
+            });
+    }
+    return allEventGraphsLoading;
+}
+
+function patternGraph(data) {
+    return {
+        event: { DisNo: String(data.DisNo), country: data.country || '' },
+        triples: data.knowledge_graph_with_citations || []
+    };
+}
+
+function tokenizePatternQuery(text) {
+    const tokens = [];
+    // A bare word never ends in "." so that "flooding." is the word plus a separator
+    const tokenRegex = /(\n)|(\.(?=\s|$))|(\?[\w-]+)|(~?)"([^"]*)"|(=)|(~?)([^\s"=]*[^\s"=.])|[ \t\r]+/gy;
+    let position = 0;
+
+    while (position < text.length) {
+        // A failed sticky match resets lastIndex to 0, so track the position separately
+        const match = tokenRegex.exec(text);
+        if (match === null) {
+            throw new Error(`Unexpected text near "${text.slice(position, position + 15)}"`);
+        }
+        position = tokenRegex.lastIndex;
+
+        if (match[1] || match[2]) tokens.push({ type: 'separator' });
+        else if (match[3]) tokens.push({ type: 'var', name: match[3] });
+        else if (match[5] !== undefined) tokens.push({ type: match[4] ? 'contains' : 'exact', value: match[5] });
+        else if (match[6]) tokens.push({ type: 'equals' });
+        else if (match[8]) tokens.push({ type: match[7] ? 'contains' : 'exact', value: match[8], bare: !match[7] });
+    }
+    return tokens;
+}
+
+// Parse the query text into triple patterns and event/country filters
+function parsePatternQuery(text) {
+    const statements = [[]];
+    tokenizePatternQuery(text).forEach(token => {
+        if (token.type === 'separator') statements.push([]);
+        else statements[statements.length - 1].push(token);
+    });
+
+    const patterns = [];
+    const filters = [];
+
+    statements.filter(tokens => tokens.length > 0).forEach((tokens, idx) => {
+        if (tokens[0].bare && tokens[0].value.toUpperCase() === 'FILTER') {
+            const [, field, equals, value] = tokens;
+            const fieldName = field && field.value ? field.value.toLowerCase() : '';
+            if (tokens.length !== 4 || !['event', 'country'].includes(fieldName) || equals.type !== 'equals' || !value.value) {
+                throw new Error(`Statement ${idx + 1}: expected FILTER event = <DisNo> or FILTER country = <name>`);
+            }
+            filters.push({ field: fieldName, value: value.value.toLowerCase() });
+            return;
+        }
+
+        if (tokens.length !== 3 || tokens.some(token => token.type === 'equals')) {
+            throw new Error(`Statement ${idx + 1}: expected "subject relation object" (quote labels that contain spaces)`);
+        }
+        patterns.push({ subject: tokens[0], relation: tokens[1], object: tokens[2] });
+    });
+
+    if (patterns.length === 0) {
+        throw new Error('Write at least one pattern, e.g. ?x causes flooding');
+    }
+
+    const variables = [];
+    patterns.forEach(pattern => {
+        [pattern.subject, pattern.relation, pattern.object].forEach(term => {
+            if (term.type === 'var' && !variables.includes(term.name)) variables.push(term.name);
+        });
+    });
+
+    return { patterns, filters, variables };
+}
+
+function matchesEventFilters(event, filters) {
+    return filters.every(filter => filter.field === 'event'
+        ? event.DisNo.toLowerCase().startsWith(filter.value)
+        : event.country.toLowerCase() === filter.value
+    );
+}
+
+// Compare one term against a node label or relation, extending `bindings` on success.
+// Returns the new bindings, or null when the term does not match.
+function matchPatternTerm(term, value, bindings, isNode) {
+    const key = isNode ? normalizeNodeLabel(value) : String(value).toLowerCase();
+
+    if (term.type === 'var') {
+        const bound = bindings[term.name];
+        if (bound) return bound.key === key ? bindings : null;
+        return { ...bindings, [term.name]: { key, label: value } };
+    }
+
+    const expected = isNode ? normalizeNodeLabel(term.value) : term.value.toLowerCase();
+    if (term.type === 'contains') {
+        return key.includes(expected) ? bindings : null;
+    }
+    return key === expected ? bindings : null;
+}
+
+// Backtracking join of all patterns over each event's triples; a solution binds every
+// variable within a single event
+function evaluatePatternQuery(query, graphs) {
+    const solutions = [];
+    let truncated = false;
+
+    graphs.filter(graph => matchesEventFilters(graph.event, query.filters)).forEach(graph => {
+        const solve = (patternIdx, bindings, matched) => {
+            if (solutions.length >= MAX_PATTERN_SOLUTIONS) {
+                truncated = true;
+                return;
+            }
+            if (patternIdx === query.patterns.length) {
+                solutions.push({ event: graph.event, bindings, triples: matched });
+                return;
+            }
+
+            const pattern = query.patterns[patternIdx];
+            graph.triples.forEach(triple => {
+                let next = matchPatternTerm(pattern.subject, triple.source, bindings, true);
+                if (next) next = matchPatternTerm(pattern.relation, triple.relation, next, false);
+                if (next) next = matchPatternTerm(pattern.object, triple.target, next, true);
+                if (next) solve(patternIdx + 1, next, [...matched, triple]);
+            });
+        };
+        solve(0, {}, []);
+    });
+
+    return { solutions, truncated };
+}
+
+// Highlight the displayed edges whose triples appear in `triples`
+function highlightTriples(triples) {
+    const keys = new Set(triples.map(tripleKey));
+    const edges = graphElements.edges.filter(edge => keys.has(tripleKey(edge.data)));
+    if (edges.length === 0) {
+        clearGraphHighlight();
+        return;
+    }
+
+    const nodeIds = new Set();
+    edges.forEach(edge => {
+        nodeIds.add(edge.from);
+        nodeIds.add(edge.to);
+    });
+    highlightGraphElements(Array.from(nodeIds), edges.map(edge => edge.id));
+}
+
+function renderPatternResults(query, solutions) {
+    const table = document.getElementById('patternResults');
+
+    if (solutions.length === 0) {
+        table.innerHTML = '<tr><td class="compare-empty">No triples match this pattern</td></tr>';
+        return;
+    }
+
+    const columns = query.variables.length > 0 ? query.variables : ['matched triples'];
+    table.innerHTML = `
+        <tr>
+            ${columns.map(name => `<th>${escapeHtml(name)}</th>`).join('')}
+            <th>Event</th>
+            <th>Citations</th>
+        </tr>
+    ` + solutions.map((solution, idx) => `
+        <tr class="pattern-row" data-solution-index="${idx}">
+            ${query.variables.length > 0
+                ? query.variables.map(name => `<td>${escapeHtml(solution.bindings[name].label)}</td>`).join('')
+                : `<td>${solution.triples.map(triple => escapeHtml(`${triple.source} ${triple.relation} ${triple.target}`)).join('<br>')}</td>`}
+            <td>${escapeHtml(solution.event.DisNo)} (${escapeHtml(solution.event.country)})</td>
+            <td>${solution.triples.reduce((total, triple) => total + (triple.n_citations || 0), 0)}</td>
+        </tr>
+    `).join('');
+
+    // Clicking a row highlights that solution; double-click opens its first triple
+    table.querySelectorAll('.pattern-row').forEach(row => {
+        const solution = patternSolutions[parseInt(row.dataset.solutionIndex)];
+        row.addEventListener('click', () => highlightTriples(solution.triples));
+        row.addEventListener('dblclick', () => showEdgeModal(solution.triples[0]));
+    });
+}
+
+// ============================================================================
+// TIMELINE
+// ============================================================================
+
+function initializeTimeline() {
+    const panel = document.getElementById('timelinePanel');
+    const slider = document.getElementById('timelineSlider');
+
+    document.getElementById('toggleTimeline').addEventListener('click', () => {
+        if (panel.style.display === 'none') {
+            panel.style.display = 'block';
+            if (timelineState) applyTimelineDay(parseInt(slider.value));
+        } else {
+            closeTimeline();
+        }
+    });
+
+    document.getElementById('closeTimeline').addEventListener('click', closeTimeline);
+    document.getElementById('timelinePlay').addEventListener('click', toggleTimelinePlayback);
+
+    slider.addEventListener('input', () => {
+        stopTimelinePlayback();
+        applyTimelineDay(parseInt(slider.value));
+    });
+
+    document.getElementById('timelineShowAll').addEventListener('click', () => {
+        if (!timelineState) return;
+        stopTimelinePlayback();
+        slider.value = timelineState.maxDay;
+        applyTimelineDay(timelineState.maxDay);
+    });
+}
+
+function closeTimeline() {
+    stopTimelinePlayback();
+    document.getElementById('timelinePanel').style.display = 'none';
+    showAllTimelineElements();
+}
+
+// Rebuild the timeline for the graph just rendered; the replay starts fully shown
+function refreshTimeline(startDate) {
+    stopTimelinePlayback();
+    timelineState = buildTimeline(graphElements, startDate);
+
+    const slider = document.getElementById('timelineSlider');
+    slider.min = timelineState.minDay;
+    slider.max = timelineState.maxDay;
+    slider.value = timelineState.maxDay;
+
+    renderTimelineHistogram();
+    applyTimelineDay(timelineState.maxDay);
+}
+
+// Whole days from `start` to an ISO pubdate, or null if the date does not parse
+function dayOffset(start, pubdate) {
+    const published = Date.parse(pubdate);
+    return isNaN(published) ? null : Math.floor((published - start) / DAY_MS);
+}
+
+function earliestCitationDay(start, citations = []) {
+    const days = citations.map(cit => dayOffset(start, cit.metadata?.pubdate)).filter(day => day !== null);
+    return days.length ? Math.min(...days) : null;
+}
+
+// Each edge appears on the day its earliest supporting article was published, each
+// node with its first edge or node citation. Article volume is counted per day by guid.
+function buildTimeline(elements, startDate) {
+    const allCitations = elements.edges.flatMap(edge => edge.data.citations || [])
+        .concat(elements.nodes.flatMap(node => node.data?.citations || []));
+
+    // Without a start date, measure from the first article instead
+    let start = Date.parse(startDate);
+    if (isNaN(start)) {
+        const published = allCitations.map(cit => Date.parse(cit.metadata?.pubdate)).filter(time => !isNaN(time));
+        start = published.length ? Math.min(...published) : Date.now();
+    }
+    start = Math.floor(start / DAY_MS) * DAY_MS;
+
+    const edgeDays = new Map();
+    const nodeDays = new Map();
+    const earlier = (a, b) => a === null ? b : b === null ? a : Math.min(a, b);
+
+    elements.edges.forEach(edge => {
+        const day = earliestCitationDay(start, edge.data.citations);
+        edgeDays.set(edge.id, day);
+        [edge.from, edge.to].forEach(nodeId => {
+            nodeDays.set(nodeId, earlier(nodeDays.has(nodeId) ? nodeDays.get(nodeId) : null, day));
+        });
+    });
+    elements.nodes.forEach(node => {
+        const own = earliestCitationDay(start, node.data?.citations);
+        nodeDays.set(node.id, earlier(nodeDays.has(node.id) ? nodeDays.get(node.id) : null, own));
+    });
+
+    const articleDays = new Map();
+    allCitations.forEach(cit => {
+        const key = cit.metadata?.guid || cit.metadata?.url || cit.metadata?.title;
+        const day = dayOffset(start, cit.metadata?.pubdate);
+        if (key && day !== null) articleDays.set(key, earlier(articleDays.has(key) ? articleDays.get(key) : null, day));
+    });
+
+    const histogram = new Map();
+    articleDays.forEach(day => histogram.set(day, (histogram.get(day) || 0) + 1));
+
+    const knownDays = Array.from(edgeDays.values()).concat(Array.from(nodeDays.values())).filter(day => day !== null);
+    return {
+        start,
+        edgeDays,
+        nodeDays,
+        histogram,
+        minDay: Math.min(0, ...knownDays),
+        maxDay: Math.max(0, ...knownDays)
+    };
+}
+
+function formatTimelineDay(day) {
+    const date = new Date(timelineState.start + day * DAY_MS).toISOString().slice(0, 10);
+    return `Day ${day >= 0 ? '+' : ''}${day} (${date})`;
+}
+
+// One bar per day between the first and last report; day 0 is the event start
+function renderTimelineHistogram() {
+    const container = document.getElementById('timelineHistogram');
+    const { minDay, maxDay, histogram } = timelineState;
+    const peak = Math.max(1, ...histogram.values());
+    const bars = [];
+
+    for (let day = minDay; day <= maxDay; day++) {
+        const count = histogram.get(day) || 0;
+        bars.push(`
+            <div class="timeline-bar${day === 0 ? ' timeline-bar-start' : ''}" data-day="${day}"
+                title="${escapeHtml(formatTimelineDay(day))}: ${count} article${count === 1 ? '' : 's'}">
+                <div class="timeline-bar-fill" style="height: ${count ? Math.max(8, (count / peak) * 100) : 0}%;"></div>
+            </div>
+        `);
+    }
+    container.innerHTML = bars.join('');
+
+    container.querySelectorAll('.timeline-bar').forEach(bar => {
+        bar.addEventListener('click', () => {
+            stopTimelinePlayback();
+            const day = parseInt(bar.dataset.day);
+            document.getElementById('timelineSlider').value = day;
+            applyTimelineDay(day);
+        });
+    });
+}
+
+// Hide edges and nodes first reported after `day`; undated ones appear on the last day
+function applyTimelineDay(day) {
+    if (!timelineState || !networkNodes) return;
+    const { edgeDays, nodeDays, maxDay } = timelineState;
+    const visibleBy = (firstDay) => firstDay === null ? day >= maxDay : firstDay <= day;
+
+    const hidden = {
+        edges: new Set(graphElements.edges.filter(edge => !visibleBy(edgeDays.get(edge.id))).map(edge => edge.id)),
+        nodes: new Set(graphElements.nodes.filter(node => !visibleBy(nodeDays.get(node.id))).map(node => node.id))
+    };
+    setHiddenGraphLayer('timeline', hidden);
+
+    const totalEdges = graphElements.edges.length;
+    const totalNodes = graphElements.nodes.length;
+    document.getElementById('timelineLabel').textContent =
+        `${formatTimelineDay(day)} · ${totalEdges - hidden.edges.size}/${totalEdges} edges, ${totalNodes - hidden.nodes.size}/${totalNodes} nodes`;
+
+    document.querySelectorAll('#timelineHistogram .timeline-bar').forEach(bar => {
+        bar.classList.toggle('timeline-bar-future', parseInt(bar.dataset.day) > day);
+    });
+}
+
+function showAllTimelineElements() {
+    setHiddenGraphLayer('timeline', null);
+}
+
+// Replay the event day by day from the first report (or from the current day if paused midway)
+function toggleTimelinePlayback() {
+    if (timelinePlayTimer) {
+        stopTimelinePlayback();
+        return;
+    }
+    if (!timelineState) return;
+
+    const slider = document.getElementById('timelineSlider');
+    if (parseInt(slider.value) >= timelineState.maxDay) {
+        slider.value = timelineState.minDay;
+        applyTimelineDay(timelineState.minDay);
+    }
+
+    document.getElementById('timelinePlay').textContent = '⏸ Pause';
+    timelinePlayTimer = setInterval(() => {
+        const next = parseInt(slider.value) + 1;
+        slider.value = next;
+        applyTimelineDay(next);
+        if (next >= timelineState.maxDay) stopTimelinePlayback();
+    }, TIMELINE_PLAY_INTERVAL_MS);
+}
+
+function stopTimelinePlayback() {
+    if (timelinePlayTimer) {
+        clearInterval(timelinePlayTimer);
+        timelinePlayTimer = null;
+    }
+    document.getElementById('timelinePlay').textContent = '▶ Play';
+}
+
+// ============================================================================
+// GEOGRAPHIC MAP
+// ============================================================================
+
+function initializeMapPanel() {
+    const panel = document.getElementById('mapPanel');
+
+    document.getElementById('toggleMapPanel').addEventListener('click', () => {
+        if (panel.style.display === 'none') {
+            panel.style.display = 'block';
+            ensurePlaceMap();
+            placeMap.invalidateSize();
+            refreshEventPlaces();
+        } else {
+            panel.style.display = 'none';
+            clearPlaceFilter();
+        }
+        if (network) network.redraw();
+    });
+
+    document.getElementById('closeMapPanel').addEventListener('click', () => {
+        panel.style.display = 'none';
+        clearPlaceFilter();
+    });
+
+    document.getElementById('clearPlaceFilter').addEventListener('click', clearPlaceFilter);
+}
+
+function ensurePlaceMap() {
+    if (placeMap) return;
+
+    placeMap = L.map('placeMap', { zoomControl: true }).setView([18.5, -72.5], 5);
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        maxZoom: 18,
+        attribution: '&copy; OpenStreetMap contributors'
+    }).addTo(placeMap);
+    placeMarkers = L.layerGroup().addTo(placeMap);
+}
+
+// Load the bundled gazetteer once, with every name and alias normalised for matching
+function loadGazetteer() {
+    if (!gazetteerLoading) {
+        gazetteerLoading = fetch(GAZETTEER_URL)
+            .then(response => {
+                if (!response.ok) throw new Error(`Gazetteer not found (HTTP ${response.status})`);
+                return response.json();
+            })
+            .then(entries => entries.map(entry => ({
+                ...entry,
+                id: `${entry.country}:${entry.name}`,
+                patterns: Array.from(new Set([entry.name, ...(entry.aliases || [])].map(normalizePlaceText)))
+            })))
+            .catch(error => {
+                gazetteerLoading = null;
+                throw error;
+            });
+    }
+    return gazetteerLoading;
+}
+
+// Lowercase, strip accents and punctuation so "Fort-Liberté" matches "Fort Liberte"
+// and "Saint-Louis" matches "St. Louis"
+function normalizePlaceText(text) {
+    return ' ' + String(text || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[’`]/g, "'")
+        .replace(/\bsaint\b/g, 'st')
+        .replace(/[^a-z0-9']+/g, ' ')
+        .trim() + ' ';
+}
+
+// Ids of the gazetteer `places` named in `text`. Longer names are matched first and
+// blanked out, so "Santiago Rodríguez" is not also counted as "Santiago".
+function findPlaceMentions(text, places) {
+    let normalized = normalizePlaceText(text);
+    const found = new Set();
+    const patterns = places
+        .flatMap(place => place.patterns.map(pattern => ({ pattern, place })))
+        .sort((a, b) => b.pattern.length - a.pattern.length);
+
+    patterns.forEach(({ pattern, place }) => {
+        let index = normalized.indexOf(pattern);
+        while (index !== -1) {
+            found.add(place.id);
+            normalized = normalized.slice(0, index + 1) + ' '.repeat(pattern.length - 2) + normalized.slice(index + pattern.length - 1);
+            index = normalized.indexOf(pattern);
+        }
+    });
+
+    return found;
+}
+
+// Geocode the event `location` field and every edge/node citation against the
+// gazetteer entries of the displayed event's countries (ISO3 suffix of the DisNo)
+function geocodeGraph(data, elements, gazetteer) {
+    const countries = new Set((data.mergedFrom || [data]).map(event => String(event.DisNo).split('-').pop()));
+    const candidates = gazetteer.filter(place => countries.has(place.country));
+    const places = new Map();
+    const mentionCache = new Map();
+
+    const placeFor = (id) => {
+        if (!places.has(id)) {
+            const entry = candidates.find(place => place.id === id);
+            places.set(id, { ...entry, inLocation: false, edgeIds: [], nodeIds: [] });
+        }
+        return places.get(id);
+    };
+    const mentionsIn = (citations = []) => {
+        const ids = new Set();
+        citations.forEach(cit => {
+            if (!mentionCache.has(cit.content)) mentionCache.set(cit.content, findPlaceMentions(cit.content, candidates));
+            mentionCache.get(cit.content).forEach(id => ids.add(id));
+        });
+        return ids;
+    };
+
+    findPlaceMentions(data.location, candidates).forEach(id => {
+        placeFor(id).inLocation = true;
+    });
+    elements.edges.forEach(edge => {
+        mentionsIn(edge.data.citations).forEach(id => placeFor(id).edgeIds.push(edge.id));
+    });
+    elements.nodes.forEach(node => {
+        mentionsIn(node.data?.citations).forEach(id => placeFor(id).nodeIds.push(node.id));
+    });
+
+    return Array.from(places.values())
+        .sort((a, b) => (b.edgeIds.length + b.nodeIds.length) - (a.edgeIds.length + a.nodeIds.length));
+}
+
+// Re-geocode the displayed graph; skipped while the map panel is closed
+async function refreshEventPlaces() {
+    const panel = document.getElementById('mapPanel');
+    const statusDiv = document.getElementById('mapStatus');
+    if (panel.style.display === 'none' || !currentData) return;
+
+    selectedPlaceId = null;
+    setHiddenGraphLayer('place', null);
+    try {
+        statusDiv.innerHTML = '<span style="color: #3498db;">🗺️ Geocoding places...</span>';
+        const gazetteer = await loadGazetteer();
+        eventPlaces = geocodeGraph(canonicalizeGraph(currentData), graphElements, gazetteer);
+
+        renderPlaceMarkers();
+        renderPlaceList();
+        fitPlaces(eventPlaces);
+
+        statusDiv.innerHTML = eventPlaces.length
+            ? `<span style="color: #2ecc71;">✅ ${eventPlaces.length} place${eventPlaces.length === 1 ? '' : 's'} found</span>`
+            : '<span style="color: #f39c12;">⚠️ No gazetteer places found for this event</span>';
+    } catch (error) {
+        console.error('Error geocoding places:', error);
+        statusDiv.innerHTML = `<span style="color: #e74c3c;">❌ Error: ${escapeHtml(error.message)}</span>`;
+    }
+}
+
+function fitPlaces(places) {
+    if (!placeMap || places.length === 0) return;
+    placeMap.fitBounds(L.latLngBounds(places.map(place => [place.lat, place.lon])), { padding: [30, 30], maxZoom: 10 });
+}
+
+// Draw one marker per place; `highlightIds` emphasises some places and fades the rest
+function renderPlaceMarkers(highlightIds = null) {
+    if (!placeMarkers) return;
+    placeMarkers.clearLayers();
+
+    eventPlaces.forEach(place => {
+        const highlighted = highlightIds && highlightIds.includes(place.id);
+        const baseColor = place.inLocation ? LOCATION_PLACE_COLOR : PLACE_COLOR;
+        const color = highlighted ? SELECTED_PLACE_COLOR : baseColor;
+
+        L.circleMarker([place.lat, place.lon], {
+            radius: 6 + Math.min(10, place.edgeIds.length),
+            color: color,
+            fillColor: color,
+            fillOpacity: highlightIds && !highlighted ? 0.15 : 0.6,
+            opacity: highlightIds && !highlighted ? 0.3 : 1,
+            weight: highlighted ? 3 : 1
+        })
+            .bindTooltip(`<strong>${escapeHtml(place.name)}</strong><br>${place.edgeIds.length} edge${place.edgeIds.length === 1 ? '' : 's'}, ${place.nodeIds.length} node${place.nodeIds.length === 1 ? '' : 's'}`)
+            .on('click', () => selectPlace(place.id))
+            .addTo(placeMarkers);
+    });
+}
+
+function renderPlaceList() {
+    const list = document.getElementById('placeList');
+
+    list.innerHTML = eventPlaces.map(place => `
+        <div class="place-item${place.id === selectedPlaceId ? ' active' : ''}" data-place-id="${escapeHtml(place.id)}">
+            <span class="place-dot" style="background: ${place.inLocation ? LOCATION_PLACE_COLOR : PLACE_COLOR};"></span>
+            <strong>${escapeHtml(place.name)}</strong>
+            <span class="place-type">${escapeHtml(place.type || '')}</span>
+            <span class="place-count">${place.edgeIds.length} edges · ${place.nodeIds.length} nodes</span>
+        </div>
+    `).join('');
+
+    list.querySelectorAll('.place-item').forEach(item => {
+        item.addEventListener('click', () => selectPlace(item.dataset.placeId));
+    });
+}
+
+// Show only the edges (and their endpoints) whose citations mention the place
+function selectPlace(placeId) {
+    const place = eventPlaces.find(candidate => candidate.id === placeId);
+    if (!place) return;
+
+    selectedPlaceId = placeId;
+    const edges = graphElements.edges.filter(edge => place.edgeIds.includes(edge.id));
+    const nodeIds = new Set(place.nodeIds);
+    edges.forEach(edge => {
+        nodeIds.add(edge.from);
+        nodeIds.add(edge.to);
+    });
+
+    const edgeIds = new Set(place.edgeIds);
+    setHiddenGraphLayer('place', {
+        edges: new Set(graphElements.edges.filter(edge => !edgeIds.has(edge.id)).map(edge => edge.id)),
+        nodes: new Set(graphElements.nodes.filter(node => !nodeIds.has(node.id)).map(node => node.id))
+    });
+    renderPlaceMarkers([placeId]);
+    renderPlaceList();
+
+    document.getElementById('mapStatus').innerHTML =
+        `<span style="color: #3498db;">📍 ${escapeHtml(place.name)}: ${edges.length} edge${edges.length === 1 ? '' : 's'} and ${place.nodeIds.length} node${place.nodeIds.length === 1 ? '' : 's'} cite it</span>`;
+}
+
+function clearPlaceFilter() {
+    setHiddenGraphLayer('place', null);
+    selectedPlaceId = null;
+    renderPlaceMarkers();
+    if (eventPlaces.length) renderPlaceList();
+}
+
+// Selecting an edge or node on the canvas highlights the places its citations mention
+function highlightPlacesForSelection(params) {
+    if (!placeMarkers || document.getElementById('mapPanel').style.display === 'none') return;
+
+    if (params.nodes.length === 0 && params.edges.length === 0) {
+        renderPlaceMarkers(selectedPlaceId ? [selectedPlaceId] : null);
+        return;
+    }
+
+    // A clicked node also selects its edges; only the node's own citations count then
+    const matching = params.nodes.length > 0
+        ? eventPlaces.filter(place => params.nodes.some(nodeId => place.nodeIds.includes(nodeId)))
+        : eventPlaces.filter(place => params.edges.some(edgeId => place.edgeIds.includes(edgeId)));
+
+    renderPlaceMarkers(matching.map(place => place.id));
+    fitPlaces(matching);
+}
+
+// ============================================================================
+// ARTICLE BROWSER
+// ============================================================================
+
+function initializeArticleBrowser() {
+    const panel = document.getElementById('articlePanel');
+    const open = () => {
+        panel.style.display = 'block';
+        refreshArticleBrowser();
+        if (network) network.redraw();
+    };
+
+    document.getElementById('toggleArticlePanel').addEventListener('click', () => {
+        if (panel.style.display === 'none') {
+            open();
+        } else {
+            panel.style.display = 'none';
+            clearArticleFilter();
+        }
+    });
+    document.getElementById('statArticlesBox').addEventListener('click', open);
+
+    document.getElementById('closeArticlePanel').addEventListener('click', () => {
+        panel.style.display = 'none';
+        clearArticleFilter();
+    });
+
+    document.getElementById('articleSearch').addEventListener('input', renderArticleList);
+    document.getElementById('clearArticleFilter').addEventListener('click', clearArticleFilter);
+}
+
+// Documents of the displayed event, or of every sibling event in a merged view
+async function loadEventArticles(data) {
+    const corpus = data.mergedFrom ? await ensureHazardEmbeddings(data) : await ensureEmbeddings(data.DisNo);
+    return corpus.documents;
+}
+
+// Pair each article with the ids of the edges and nodes whose citations quote it
+function buildArticleFootprints(documents, elements) {
+    const articles = documents.map(doc => ({
+        key: articleKey(doc.metadata),
+        doc,
+        edgeIds: [],
+        nodeIds: []
+    }));
+    const byKey = new Map(articles.map(article => [article.key, article]));
+
+    const cite = (citations, add) => {
+        new Set((citations || []).map(cit => articleKey(cit.metadata))).forEach(key => {
+            if (byKey.has(key)) add(byKey.get(key));
+        });
+    };
+    elements.edges.forEach(edge => cite(edge.data.citations, article => article.edgeIds.push(edge.id)));
+    elements.nodes.forEach(node => cite(node.data?.citations, article => article.nodeIds.push(node.id)));
+
+    return articles;
+}
+
+// Re-list the displayed event's articles; skipped while the panel is closed
+async function refreshArticleBrowser() {
+    const panel = document.getElementById('articlePanel');
+    const statusDiv = document.getElementById('articleStatus');
+    if (panel.style.display === 'none' || !currentData) return;
+
+    const data = currentData;
+    selectedArticleKey = null;
+    try {
+        statusDiv.innerHTML = '<span style="color: #3498db;">📰 Loading articles...</span>';
+        const documents = await loadEventArticles(data);
+        if (data !== currentData) return;
+
+        const articles = buildArticleFootprints(documents, graphElements);
+        eventArticles = { articles, index: buildBm25Index(documents) };
+
+        const cited = articles.filter(article => article.edgeIds.length + article.nodeIds.length > 0).length;
+        statusDiv.innerHTML = `<span style="color: #2ecc71;">✅ ${articles.length} article${articles.length === 1 ? '' : 's'}, ${cited} cited in the graph</span>`;
+        renderArticleList();
+    } catch (error) {
+        console.error('Error loading articles:', error);
+        eventArticles = null;
+        document.getElementById('articleList').innerHTML = '';
+        statusDiv.innerHTML = `<span style="color: #e74c3c;">❌ Error: ${escapeHtml(error.message)}</span>`;
+    }
+}
+
+// Articles matching the search box, ranked by BM25; newest first when it is empty
+function searchArticles(query) {
+    const { articles, index } = eventArticles;
+    if (!query) {
+        return [...articles].sort((a, b) =>
+            (b.doc.metadata?.pubdate || '').localeCompare(a.doc.metadata?.pubdate || '')
+        );
+    }
+
+    const scores = scoreBm25(index, query);
+    return rankByScore(articles.map((_, idx) => idx).filter(idx => scores[idx] > 0), scores)
+        .map(idx => articles[idx]);
+}
+
+function renderArticleList() {
+    const list = document.getElementById('articleList');
+    if (!eventArticles) return;
+
+    const matches = searchArticles(document.getElementById('articleSearch').value.trim());
+    if (matches.length === 0) {
+        list.innerHTML = '<div class="article-empty">No matching articles</div>';
+        return;
+    }
+
+    list.innerHTML = matches.map(article => {
+        const metadata = article.doc.metadata || {};
+        const selected = article.key === selectedArticleKey;
+        const details = selected ? renderArticleFootprint(article) : '';
+
+        return `
+            <div class="article-item${selected ? ' active' : ''}" data-article-key="${escapeHtml(article.key)}">
+                <div class="article-title">${escapeHtml(metadata.title || 'Untitled')}</div>
+                <div class="article-meta">
+                    ${escapeHtml([metadata.source, (metadata.pubdate || '').slice(0, 10)].filter(Boolean).join(' · '))}
+                    ${metadata.url ? ` · <a href="${escapeHtml(metadata.url)}" target="_blank" rel="noopener">Open ↗</a>` : ''}
+                </div>
+                <div class="article-count">${article.edgeIds.length} edge${article.edgeIds.length === 1 ? '' : 's'} · ${article.nodeIds.length} node${article.nodeIds.length === 1 ? '' : 's'}</div>
+                ${details}
+            </div>
+        `;
+    }).join('');
+
+    list.querySelectorAll('.article-item').forEach(item => {
+        item.addEventListener('click', (e) => {
+            if (e.target.closest('a, .article-support')) return;
+            selectArticle(item.dataset.articleKey);
+        });
+    });
+    list.querySelectorAll('.article-support').forEach(entry => {
+        entry.addEventListener('click', () => {
+            if (entry.dataset.edgeId !== undefined) {
+                const edge = networkEdges.get(Number(entry.dataset.edgeId));
+                if (edge) showEdgeModal(edge.data);
+            } else {
+                const node = networkNodes.get(entry.dataset.nodeId);
+                if (node?.data) showNodeModal(node.data);
+            }
+        });
+    });
+}
+
+// The edges and nodes an article supports, listed under the selected article
+function renderArticleFootprint(article) {
+    const edges = graphElements.edges.filter(edge => article.edgeIds.includes(edge.id));
+    if (edges.length === 0 && article.nodeIds.length === 0) {
+        return '<div class="article-footprint"><div class="article-empty">Not cited by any edge or node</div></div>';
+    }
+
+    return `
+        <div class="article-footprint">
+            ${edges.map(edge => `
+                <div class="article-support" data-edge-id="${edge.id}">
+                    ${escapeHtml(edge.from)} <span class="path-relation">→ ${escapeHtml(edge.data.relation)} →</span> ${escapeHtml(edge.to)}
+                </div>
+            `).join('')}
+            ${article.nodeIds.map(nodeId => `
+                <div class="article-support" data-node-id="${escapeHtml(nodeId)}">● ${escapeHtml(nodeId)}</div>
+            `).join('')}
+        </div>
+    `;
+}
+
+// Highlight the edges and nodes citing the article and dim the rest; selecting it
+// again clears the highlight
+function selectArticle(key) {
+    if (key === selectedArticleKey) {
+        clearArticleFilter();
+        return;
+    }
+
+    const article = eventArticles.articles.find(candidate => candidate.key === key);
+    if (!article) return;
+
+    selectedArticleKey = key;
+    const nodeIds = new Set(article.nodeIds);
+    graphElements.edges
+        .filter(edge => article.edgeIds.includes(edge.id))
+        .forEach(edge => {
+            nodeIds.add(edge.from);
+            nodeIds.add(edge.to);
+        });
+
+    highlightGraphElements(Array.from(nodeIds), article.edgeIds);
+    renderArticleList();
+}
+
+function clearArticleFilter() {
+    if (selectedArticleKey) clearGraphHighlight();
+    selectedArticleKey = null;
+    renderArticleList();
+}
+
+// ============================================================================
+// GRAPH FILTERS
+// ============================================================================
+
+function initializeGraphFilters() {
+    const panel = document.getElementById('filterPanel');
+
+    document.getElementById('toggleFilterPanel').addEventListener('click', () => {
+        if (panel.style.display === 'none') {
+            panel.style.display = 'block';
+            applyGraphFilters();
+        } else {
+            panel.style.display = 'none';
+            setHiddenGraphLayer('filter', null);
+            scheduleViewHashUpdate();
+        }
+        if (network) network.redraw();
+    });
+
+    document.getElementById('closeFilterPanel').addEventListener('click', () => {
+        panel.style.display = 'none';
+        setHiddenGraphLayer('filter', null);
+        scheduleViewHashUpdate();
+    });
+
+    ['graphFilterMinCitations', 'graphFilterOutlet', 'graphFilterDateFrom', 'graphFilterDateTo', 'graphFilterLabel']
+        .forEach(id => document.getElementById(id).addEventListener('input', applyGraphFilters));
+    document.getElementById('graphFilterRelations').addEventListener('change', applyGraphFilters);
+
+    document.getElementById('focusSelectedNode').addEventListener('click', focusSelectedNode);
+    document.getElementById('focusHops').addEventListener('input', () => {
+        if (!graphFocus) return;
+        graphFocus = { ...graphFocus, hops: readFocusHops() };
+        applyGraphFilters();
+    });
+    document.getElementById('clearFocus').addEventListener('click', () => {
+        graphFocus = null;
+        applyGraphFilters();
+    });
+    document.getElementById('resetGraphFilters').addEventListener('click', resetGraphFilters);
+}
+
+// Rebuild the relation and outlet choices for the graph just rendered, keeping the
+// user's choices where they still apply
+function refreshGraphFilters() {
+    const edges = graphElements.edges;
+
+    const relationsDiv = document.getElementById('graphFilterRelations');
+    const excluded = new Set(Array.from(relationsDiv.querySelectorAll('input:not(:checked)')).map(input => input.value));
+    const relations = Array.from(new Set(edges.map(edge => edge.data.relation))).sort();
+    relationsDiv.innerHTML = relations.map(relation => `
+        <label class="checkbox-label">
+            <input type="checkbox" value="${escapeHtml(relation)}"${excluded.has(relation) ? '' : ' checked'}>
+            ${escapeHtml(relation)}
+        </label>
+    `).join('');
+
+    const outletSelect = document.getElementById('graphFilterOutlet');
+    const selectedOutlet = outletSelect.value;
+    const outlets = Array.from(new Set(graphElements.edges.flatMap(edge =>
+        (edge.data.citations || []).map(cit => cit.metadata?.source).filter(Boolean)
+    ))).sort();
+    outletSelect.innerHTML = '<option value="">All outlets</option>' +
+        outlets.map(outlet => `<option value="${escapeHtml(outlet)}">${escapeHtml(outlet)}</option>`).join('');
+    outletSelect.value = outlets.includes(selectedOutlet) ? selectedOutlet : '';
+
+    if (graphFocus && !graphElements.nodes.some(node => node.id === graphFocus.nodeId)) {
+        graphFocus = null;
+    }
+    applyGraphFilters();
+}
+
+function readGraphFilters() {
+    return {
+        excludedRelations: new Set(Array.from(document.querySelectorAll('#graphFilterRelations input:not(:checked)'))
+            .map(input => input.value)),
+        minCitations: parseInt(document.getElementById('graphFilterMinCitations').value) || 0,
+        outlet: document.getElementById('graphFilterOutlet').value,
+        dateFrom: document.getElementById('graphFilterDateFrom').value,
+        dateTo: document.getElementById('graphFilterDateTo').value,
+        label: document.getElementById('graphFilterLabel').value.trim().toLowerCase()
+    };
+}
+
+// Undirected neighbourhood of `nodeId` within `hops` edges
+function kHopNeighbourhood(elements, nodeId, hops) {
+    const neighbours = new Map();
+    elements.edges.forEach(edge => {
+        if (!neighbours.has(edge.from)) neighbours.set(edge.from, []);
+        if (!neighbours.has(edge.to)) neighbours.set(edge.to, []);
+        neighbours.get(edge.from).push(edge.to);
+        neighbours.get(edge.to).push(edge.from);
+    });
+
+    const reached = new Set([nodeId]);
+    let frontier = [nodeId];
+    for (let hop = 0; hop < hops && frontier.length > 0; hop++) {
+        frontier = frontier.flatMap(id => neighbours.get(id) || []).filter(id => !reached.has(id));
+        frontier.forEach(id => reached.add(id));
+    }
+    return reached;
+}
+
+// Ids of the edges and nodes the filters hide. An edge must pass every facet (outlet
+// and date range must hold for the same citation) and lie inside the focused
+// neighbourhood; a node shows if one of its edges does, or if it is the focus itself.
+function computeGraphFilter(elements, filters, focus) {
+    const focusNodes = focus ? kHopNeighbourhood(elements, focus.nodeId, focus.hops) : null;
+    const citationFilter = filters.outlet || filters.dateFrom || filters.dateTo;
+    const citationMatches = (cit) => {
+        const pubdate = (cit.metadata?.pubdate || '').slice(0, 10);
+        if (filters.outlet && cit.metadata?.source !== filters.outlet) return false;
+        if (filters.dateFrom && (!pubdate || pubdate < filters.dateFrom)) return false;
+        if (filters.dateTo && (!pubdate || pubdate > filters.dateTo)) return false;
+        return true;
+    };
+    const labelMatches = (label) => !filters.label || String(label).toLowerCase().includes(filters.label);
+
+    const hidden = { edges: new Set(), nodes: new Set() };
+    const shownNodes = new Set();
+    const linkedNodes = new Set();
+
+    elements.edges.forEach(edge => {
+        linkedNodes.add(edge.from);
+        linkedNodes.add(edge.to);
+        const citations = edge.data.citations || [];
+        const visible = !filters.excludedRelations.has(edge.data.relation) &&
+            (edge.data.n_citations ?? citations.length) >= filters.minCitations &&
+            (!citationFilter || citations.some(citationMatches)) &&
+            (labelMatches(edge.from) || labelMatches(edge.to)) &&
+            (!focusNodes || (focusNodes.has(edge.from) && focusNodes.has(edge.to)));
+
+        if (visible) {
+            shownNodes.add(edge.from);
+            shownNodes.add(edge.to);
+        } else {
+            hidden.edges.add(edge.id);
+        }
+    });
+
+    // A node shows with one of its edges; a node without edges (e.g. just added) only
+    // has its own label and the focus to pass
+    const edgelessVisible = (node) => !linkedNodes.has(node.id) && labelMatches(node.id) &&
+        (!focusNodes || focusNodes.has(node.id));
+
+    elements.nodes.forEach(node => {
+        if (!shownNodes.has(node.id) && node.id !== focus?.nodeId && !edgelessVisible(node)) hidden.nodes.add(node.id);
+    });
+    return hidden;
+}
+
+function applyGraphFilters() {
+    const statusDiv = document.getElementById('filterStatus');
+    if (document.getElementById('filterPanel').style.display === 'none' || !networkNodes) return;
+
+    const hidden = computeGraphFilter(graphElements, readGraphFilters(), graphFocus);
+    setHiddenGraphLayer('filter', hidden);
+
+    const totalEdges = graphElements.edges.length;
+    const totalNodes = graphElements.nodes.length;
+    const focusText = graphFocus
+        ? ` · focused on ${escapeHtml(graphFocus.nodeId)} (${graphFocus.hops} hop${graphFocus.hops === 1 ? '' : 's'})`
+        : '';
+    statusDiv.innerHTML = `<span style="color: #3498db;">Showing ${totalEdges - hidden.edges.size}/${totalEdges} edges, ${totalNodes - hidden.nodes.size}/${totalNodes} nodes${focusText}</span>`;
+    scheduleViewHashUpdate();
+}
+
+// Show only the k-hop neighbourhood of the node selected on the canvas
+function focusSelectedNode() {
+    const nodeId = graphFocus?.nodeId;
+    const selected = network ? network.getSelectedNodes() : [];
+    const target = selected.length > 0 ? selected[0] : nodeId;
+
+    if (target === undefined) {
+        document.getElementById('filterStatus').innerHTML =
+            '<span style="color: #f39c12;">⚠️ Select a node on the graph first</span>';
+        return;
+    }
+
+    graphFocus = { nodeId: target, hops: readFocusHops() };
+    applyGraphFilters();
+}
+
+function readFocusHops() {
+    return Math.min(MAX_FOCUS_HOPS, Math.max(1, parseInt(document.getElementById('focusHops').value) || 1));
+}
+
+function resetGraphFilters() {
+    document.querySelectorAll('#graphFilterRelations input').forEach(input => {
+        input.checked = true;
+    });
+    document.getElementById('graphFilterMinCitations').value = 0;
+    document.getElementById('graphFilterOutlet').value = '';
+    document.getElementById('graphFilterDateFrom').value = '';
+    document.getElementById('graphFilterDateTo').value = '';
+    document.getElementById('graphFilterLabel').value = '';
+    graphFocus = null;
+    applyGraphFilters();
+}
+
+// ============================================================================
+// STORYLINE FACTSHEET
+// ============================================================================
+
+function initializeStorylinePanel() {
+    const panel = document.getElementById('storylinePanel');
+
+    document.getElementById('toggleStorylinePanel').addEventListener('click', () => {
+        if (panel.style.display === 'none') {
+            panel.style.display = 'block';
+            refreshStoryline();
+        } else {
+            panel.style.display = 'none';
+        }
+        if (network) network.redraw();
+    });
+
+    document.getElementById('closeStorylinePanel').addEventListener('click', () => {
+        panel.style.display = 'none';
+    });
+}
+
+// Split the markdown factsheet into its title and "- **Heading:** text" sections.
+// Indented bullets under a heading become the section's items.
+function parseStoryline(markdown) {
+    const stripBold = (text) => text.replace(/\*\*/g, '').trim();
+    const factsheet = { title: '', intro: [], sections: [] };
+    let section = null;
+
+    String(markdown || '').split('\n').forEach(line => {
+        if (!line.trim()) return;
+
+        const heading = line.match(/^[-*]\s+\*\*(.+?)\*\*\s*(.*)$/);
+        const item = line.match(/^\s+[-*]\s+(.*)$/);
+
+        if (heading) {
+            section = {
+                heading: heading[1].replace(/:\s*$/, ''),
+                text: stripBold(heading[2].replace(/^:\s*/, '')),
+                items: []
+            };
+            factsheet.sections.push(section);
+        } else if (item && section) {
+            section.items.push(stripBold(item[1]));
+        } else if (!factsheet.title && !section && /^\*\*.+\*\*$/.test(line.trim())) {
+            factsheet.title = stripBold(line);
+        } else if (section) {
+            section.text = [section.text, stripBold(line)].filter(Boolean).join(' ');
+        } else {
+            factsheet.intro.push(stripBold(line));
+        }
+    });
+
+    return factsheet;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Non-overlapping mentions of node labels in `text`, longest labels first. Plural and
+// singular forms of a label both count ("power outage" matches "power outages").
+function findNodeMentions(text, nodeIds) {
+    const lower = text.toLowerCase();
+    const taken = new Array(text.length).fill(false);
+    const mentions = [];
+
+    [...nodeIds].sort((a, b) => b.length - a.length).forEach(nodeId => {
+        const label = String(nodeId).toLowerCase().trim();
+        if (label.length < 3) return;
+
+        const stem = label.length > 4 && /[^s]s$/.test(label) ? label.slice(0, -1) : label;
+        const pattern = new RegExp(`(^|[^a-z0-9])(${escapeRegExp(stem)}(?:es|s)?)(?=[^a-z0-9]|$)`, 'g');
+        let match;
+        while ((match = pattern.exec(lower)) !== null) {
+            const start = match.index + match[1].length;
+            const end = start + match[2].length;
+            if (!taken.slice(start, end).some(Boolean)) {
+                taken.fill(true, start, end);
+                mentions.push({ start, end, nodeId });
+            }
+        }
+    });
+
+    return mentions.sort((a, b) => a.start - b.start);
+}
+
+// One span per sentence with the node labels it mentions linked, recording the
+// mentioned ids in storylineMentions
+function renderStorylineText(text, nodeIds) {
+    return splitSentences(text).map(sentence => {
+        const mentions = findNodeMentions(sentence, nodeIds);
+        const index = storylineMentions.length;
+        storylineMentions.push(new Set(mentions.map(mention => mention.nodeId)));
+
+        let html = '';
+        let position = 0;
+        mentions.forEach(mention => {
+            html += escapeHtml(sentence.slice(position, mention.start)) +
+                `<span class="story-node" data-node-id="${escapeHtml(mention.nodeId)}" title="${escapeHtml(mention.nodeId)}">` +
+                `${escapeHtml(sentence.slice(mention.start, mention.end))}</span>`;
+            position = mention.end;
+        });
+        html += escapeHtml(sentence.slice(position));
+
+        return `<span class="story-sentence" data-sentence="${index}">${html}</span>`;
+    }).join(' ');
+}
+
+// Render the displayed event's factsheet (one per country in a merged view); skipped
+// while the panel is closed
+function refreshStoryline() {
+    const panel = document.getElementById('storylinePanel');
+    const content = document.getElementById('storylineContent');
+    if (panel.style.display === 'none' || !currentData) return;
+
+    const storylines = currentData.storylines ||
+        (currentData.storyline ? [{ DisNo: currentData.DisNo, country: currentData.country, storyline: currentData.storyline }] : []);
+    const nodeIds = graphElements.nodes.map(node => node.id);
+    storylineMentions = [];
+    document.getElementById('storylineStatus').innerHTML = '';
+
+    if (storylines.length === 0) {
+        content.innerHTML = '<div class="article-empty">This event has no storyline factsheet.</div>';
+        return;
+    }
+
+    content.innerHTML = storylines.map(({ DisNo, country, storyline }) => {
+        const factsheet = parseStoryline(storyline);
+        return `
+            <div class="storyline">
+                ${storylines.length > 1 ? `<div class="storyline-origin">${escapeHtml(`${DisNo} (${country})`)}</div>` : ''}
+                <div class="storyline-title">${escapeHtml(factsheet.title || 'Factsheet')}</div>
+                ${factsheet.intro.map(text => `<p>${renderStorylineText(text, nodeIds)}</p>`).join('')}
+                ${factsheet.sections.map(section => `
+                    <section class="storyline-section">
+                        <h4>${escapeHtml(section.heading)}</h4>
+                        ${section.text ? `<p>${renderStorylineText(section.text, nodeIds)}</p>` : ''}
+                        ${section.items.length ? `<ul>${section.items.map(item => `<li>${renderStorylineText(item, nodeIds)}</li>`).join('')}</ul>` : ''}
+                    </section>
+                `).join('')}
+            </div>
+        `;
+    }).join('');
+
+    content.querySelectorAll('.story-node').forEach(phrase => {
+        const nodeId = phrase.dataset.nodeId;
+        phrase.addEventListener('mouseenter', () => previewStorylineNode(nodeId));
+        phrase.addEventListener('mouseleave', endStorylinePreview);
+        phrase.addEventListener('click', () => {
+            storylineHoverSelection = null;
+            if (!network) return;
+            network.selectNodes([nodeId]);
+            network.focus(nodeId, { scale: 1.2, animation: true });
+            highlightStorylineForSelection({ nodes: [nodeId], edges: [] });
+        });
+    });
+}
+
+// Select the node while its phrase is hovered, remembering the user's selection
+function previewStorylineNode(nodeId) {
+    if (!network || !networkNodes.get(nodeId)) return;
+    storylineHoverSelection = { nodes: network.getSelectedNodes(), edges: network.getSelectedEdges() };
+    network.selectNodes([nodeId]);
+}
+
+function endStorylinePreview() {
+    if (!network || !storylineHoverSelection) return;
+    network.setSelection(storylineHoverSelection, { unselectAll: true, highlightEdges: false });
+    storylineHoverSelection = null;
+}
+
+// Mark the factsheet sentences mentioning the selected node and scroll to the first
+function highlightStorylineForSelection(params) {
+    const panel = document.getElementById('storylinePanel');
+    if (panel.style.display === 'none') return;
+
+    const content = document.getElementById('storylineContent');
+    const statusDiv = document.getElementById('storylineStatus');
+    content.querySelectorAll('.story-sentence-active').forEach(sentence => sentence.classList.remove('story-sentence-active'));
+
+    if (params.nodes.length === 0) {
+        statusDiv.innerHTML = '';
+        return;
+    }
+
+    const nodeId = params.nodes[0];
+    const matching = Array.from(content.querySelectorAll('.story-sentence'))
+        .filter(sentence => storylineMentions[parseInt(sentence.dataset.sentence)]?.has(nodeId));
+
+    matching.forEach(sentence => sentence.classList.add('story-sentence-active'));
+    if (matching.length > 0) {
+        matching[0].scrollIntoView({ behavior: 'smooth', block: 'center' });
+        statusDiv.innerHTML = `<span style="color: #3498db;">📖 ${matching.length} sentence${matching.length === 1 ? '' : 's'} mention ${escapeHtml(nodeId)}</span>`;
+    } else {
+        statusDiv.innerHTML = `<span style="color: #f39c12;">⚠️ The factsheet does not mention ${escapeHtml(nodeId)}</span>`;
+    }
+}
+
+// ============================================================================
+// GRAPH EDITING
+// ============================================================================
+
+function initializeGraphEditor() {
+    const nameInput = document.getElementById('editorName');
+    nameInput.value = localStorage.getItem(EDITOR_NAME_STORAGE_KEY) || '';
+    nameInput.addEventListener('change', () => {
+        localStorage.setItem(EDITOR_NAME_STORAGE_KEY, nameInput.value.trim());
+    });
+
+    document.getElementById('toggleEditMode').addEventListener('click', () => {
+        if (graphEditMode) {
+            leaveGraphEditMode();
+        } else {
+            enterGraphEditMode();
+        }
+    });
+    document.getElementById('closeEditPanel').addEventListener('click', () => leaveGraphEditMode());
+
+    document.getElementById('editAddNode').addEventListener('click', () => {
+        if (!network) return;
+        network.addNodeMode();
+        setEditStatus('Click on the canvas where the new node should go', '#3498db');
+    });
+    document.getElementById('editAddEdge').addEventListener('click', () => {
+        if (!network) return;
+        network.addEdgeMode();
+        setEditStatus(`Drag from the cause to the effect to add a "${getEditRelation()}" edge`, '#3498db');
+    });
+
+    const relationSelect = document.getElementById('editRelation');
+    relationSelect.addEventListener('change', () => {
+        document.getElementById('editCustomRelation').style.display = relationSelect.value === 'custom' ? 'block' : 'none';
+    });
+
+    document.getElementById('editUndo').addEventListener('click', undoGraphEdit);
+    document.getElementById('editRedo').addEventListener('click', redoGraphEdit);
+    document.getElementById('editSave').addEventListener('click', saveEditedGraph);
+}
+
+function enterGraphEditMode() {
+    if (!currentData || !network) {
+        alert('Select an event to edit first.');
+        return;
+    }
+    if (currentData.mergedFrom) {
+        alert('Merged hazard views cannot be edited. Turn off "Merge by Hazard" to edit a single event.');
+        return;
+    }
+
+    graphEditMode = true;
+    graphEditState = {
+        file: document.getElementById('eventSelect').value,
+        undo: [],
+        redo: [],
+        dirty: false,
+        selection: null
+    };
+    currentData = structuredClone(currentData);
+
+    document.getElementById('editPanel').style.display = 'block';
+    configureEditManipulation();
+    renderEditPanel();
+    setEditStatus('Click a node or edge to edit it', '#3498db');
+    network.redraw();
+}
+
+// Leave edit mode, reloading the event file if unsaved edits are discarded. Callers
+// that load another event themselves pass `reload: false`. Returns false if the user
+// chooses to keep editing.
+function leaveGraphEditMode({ reload = true } = {}) {
+    if (!graphEditMode) return true;
+    const discarded = graphEditState.dirty;
+    if (discarded && !confirm('Discard unsaved graph edits?')) return false;
+
+    graphEditMode = false;
+    graphEditState = null;
+
+    document.getElementById('editPanel').style.display = 'none';
+    if (network) network.disableEditMode();
+
+    if (discarded && reload) {
+        renderSelectedEvent().catch(error => {
+            console.error('Error loading event:', error);
+            alert('Error loading event data: ' + error.message);
+        });
+    }
+    return true;
+}
+
+// vis-network calls these when a node is placed or an edge is drawn; the edit is
+// applied to the event data and the graph re-rendered, so vis' own add is cancelled
+function configureEditManipulation() {
+    network.setOptions({
+        manipulation: {
+            enabled: false,
+            addNode: (nodeData, callback) => {
+                callback(null);
+                const label = (prompt('Label of the new node:') || '').trim();
+                if (!label) return;
+                applyGraphEdit('add node', label, (data, change) => addNodeToData(data, label, change),
+                    { [label]: { x: nodeData.x, y: nodeData.y } });
+            },
+            addEdge: (edgeData, callback) => {
+                callback(null);
+                if (edgeData.from === edgeData.to) return;
+                const relation = getEditRelation();
+                if (!relation) {
+                    setEditStatus('Enter a name for the custom relation first', '#e74c3c');
+                    return;
+                }
+                applyGraphEdit('add edge', `${edgeData.from} → ${relation} → ${edgeData.to}`,
+                    (data, change) => addEdgeToData(data, edgeData.from, relation, edgeData.to, change));
+            }
+        }
+    });
+}
+
+function getEditRelation() {
+    const selected = document.getElementById('editRelation').value;
+    return selected === 'custom'
+        ? document.getElementById('editCustomRelation').value.trim()
+        : selected;
+}
+
+function getEditorName() {
+    return document.getElementById('editorName').value.trim() || 'anonymous';
+}
+
+function setEditStatus(message, color) {
+    document.getElementById('editStatus').innerHTML = message
+        ? `<span style="color: ${color};">${escapeHtml(message)}</span>`
+        : '';
+}
+
+// Apply `mutate` to the event data as one undoable change, recording who made it and
+// when in the data's edit_history and in the touched items' provenance
+function applyGraphEdit(action, target, mutate, positions = {}) {
+    const before = structuredClone(currentData);
+    const change = { action, target, author: getEditorName(), timestamp: new Date().toISOString() };
+
+    try {
+        mutate(currentData, change);
+    } catch (error) {
+        currentData = before;
+        setEditStatus(error.message, '#e74c3c');
+        return false;
+    }
+
+    currentData.edit_history = (currentData.edit_history || []).concat(change);
+    recountGraphData(currentData);
+
+    graphEditState.undo.push(before);
+    if (graphEditState.undo.length > MAX_EDIT_UNDO) graphEditState.undo.shift();
+    graphEditState.redo = [];
+    graphEditState.dirty = true;
+
+    rerenderEditedGraph(positions);
+    setEditStatus(`${action}: ${target}`, '#2ecc71');
+    return true;
+}
+
+function undoGraphEdit() {
+    if (!graphEditMode || graphEditState.undo.length === 0) return;
+    graphEditState.redo.push(currentData);
+    currentData = graphEditState.undo.pop();
+    graphEditState.dirty = true;
+    rerenderEditedGraph();
+    setEditStatus('Undone', '#3498db');
+}
+
+function redoGraphEdit() {
+    if (!graphEditMode || graphEditState.redo.length === 0) return;
+    graphEditState.undo.push(currentData);
+    currentData = graphEditState.redo.pop();
+    graphEditState.dirty = true;
+    rerenderEditedGraph();
+    setEditStatus('Redone', '#3498db');
+}
+
+// Re-render after an edit, keeping the nodes where they were on the canvas
+function rerenderEditedGraph(extraPositions = {}) {
+    const positions = { ...network.getPositions(), ...extraPositions };
+    visualizeKnowledgeGraph(currentData);
+    networkNodes.update(graphElements.nodes
+        .filter(node => positions[node.id])
+        .map(node => ({ id: node.id, x: positions[node.id].x, y: positions[node.id].y })));
+
+    configureEditManipulation();
+    const selection = graphEditState.selection;
+    if (selection && !findEditItem(currentData, selection)) graphEditState.selection = null;
+    renderEditPanel();
+}
+
+function sameNode(label, other) {
+    return normalizeNodeLabel(label) === normalizeNodeLabel(other);
+}
+
+function stampProvenance(item, change) {
+    item.provenance = (item.provenance || []).concat(change);
+}
+
+function nodeExists(data, label) {
+    return (data.nodes_with_citations || []).some(item => sameNode(item.node, label)) ||
+        (data.knowledge_graph_with_citations || []).some(item => sameNode(item.source, label) || sameNode(item.target, label));
+}
+
+// Edges and node entries the selection refers to; with entity aliases active one
+// displayed edge or node can stand for several raw entries
+function findEditItems(data, selection) {
+    if (!selection) return [];
+    if (selection.kind === 'node') {
+        return (data.nodes_with_citations || []).filter(item => sameNode(item.node, selection.label));
+    }
+    return (data.knowledge_graph_with_citations || []).filter(item => tripleKey(item) === tripleKey(selection));
+}
+
+function findEditItem(data, selection) {
+    if (selection?.kind === 'node') return nodeExists(data, selection.label);
+    return findEditItems(data, selection).length > 0;
+}
+
+function addNodeToData(data, label, change) {
+    if (nodeExists(data, label)) throw new Error(`A node "${label}" already exists`);
+
+    const item = { node: label, question: '', answer: '', citations: [], retrieved_contexts: [], n_citations: 0 };
+    stampProvenance(item, change);
+    data.nodes_with_citations = (data.nodes_with_citations || []).concat(item);
+}
+
+function renameNodeInData(data, label, newLabel, change) {
+    if (!sameNode(label, newLabel) && nodeExists(data, newLabel)) {
+        throw new Error(`A node "${newLabel}" already exists`);
+    }
+
+    (data.knowledge_graph_with_citations || []).forEach(item => {
+        const touched = sameNode(item.source, label) || sameNode(item.target, label);
+        if (sameNode(item.source, label)) item.source = newLabel;
+        if (sameNode(item.target, label)) item.target = newLabel;
+        if (touched) stampProvenance(item, change);
+    });
+    (data.nodes_with_citations || []).forEach(item => {
+        if (!sameNode(item.node, label)) return;
+        item.node = newLabel;
+        stampProvenance(item, change);
+    });
+}
+
+// Remove a node together with every edge into or out of it
+function removeNodeFromData(data, label) {
+    data.knowledge_graph_with_citations = (data.knowledge_graph_with_citations || [])
+        .filter(item => !sameNode(item.source, label) && !sameNode(item.target, label));
+    data.nodes_with_citations = (data.nodes_with_citations || [])
+        .filter(item => !sameNode(item.node, label));
+}
+
+function addEdgeToData(data, source, relation, target, change) {
+    const item = { source, relation, target, question: '', answer: '', citations: [], retrieved_contexts: [], n_citations: 0 };
+    if ((data.knowledge_graph_with_citations || []).some(existing => tripleKey(existing) === tripleKey(item))) {
+        throw new Error(`The edge ${source} → ${relation} → ${target} already exists`);
+    }
+
+    stampProvenance(item, change);
+    data.knowledge_graph_with_citations = (data.knowledge_graph_with_citations || []).concat(item);
+}
+
+function retypeEdgeInData(data, selection, relation, change) {
+    const retyped = { ...selection, relation };
+    if (findEditItems(data, retyped).length > 0) {
+        throw new Error(`The edge ${selection.source} → ${relation} → ${selection.target} already exists`);
+    }
+
+    findEditItems(data, selection).forEach(item => {
+        item.relation = relation;
+        stampProvenance(item, change);
+    });
+}
+
+function removeEdgeFromData(data, selection) {
+    data.knowledge_graph_with_citations = (data.knowledge_graph_with_citations || [])
+        .filter(item => tripleKey(item) !== tripleKey(selection));
+}
+
+// Add an article passage as a new numbered citation of the selected edge or node
+function attachCitationToData(data, selection, passage, change) {
+    const items = findEditItems(data, selection);
+    if (items.length === 0) {
+        throw new Error('Only nodes with an entry in nodes_with_citations can have citations attached');
+    }
+
+    items.forEach(item => {
+        item.citations = item.citations || [];
+        if (item.citations.some(cit => cit.content === passage.content)) {
+            throw new Error('This passage is already cited');
+        }
+        const sourceId = item.citations.reduce((max, cit) => Math.max(max, cit.source_id || 0), 0) + 1;
+        item.citations.push({ source_id: sourceId, content: passage.content, metadata: passage.metadata });
+        stampProvenance(item, change);
+    });
+}
+
+// Keep the *_full.json counters consistent with the edited lists
+function recountGraphData(data) {
+    const edges = data.knowledge_graph_with_citations || [];
+    const nodes = data.nodes_with_citations || [];
+    [...edges, ...nodes].forEach(item => {
+        item.n_citations = (item.citations || []).length;
+    });
+
+    data.n_links = edges.length;
+    data.n_nodes = nodes.length;
+    data.total_citations = edges.reduce((sum, item) => sum + item.n_citations, 0);
+    data.total_node_citations = nodes.reduce((sum, item) => sum + item.n_citations, 0);
+}
+
+// Canvas clicks in edit mode select a node or edge for the edit panel
+function selectEditTarget(params) {
+    if (params.nodes.length > 0) {
+        graphEditState.selection = { kind: 'node', label: params.nodes[0] };
+    } else if (params.edges.length > 0) {
+        const edge = networkEdges.get(params.edges[0]);
+        graphEditState.selection = edge
+            ? { kind: 'edge', source: edge.data.source, relation: edge.data.relation, target: edge.data.target }
+            : null;
+    } else {
+        graphEditState.selection = null;
+    }
+    renderEditSelection();
+}
+
+function renderEditPanel() {
+    document.getElementById('editUndo').disabled = graphEditState.undo.length === 0;
+    document.getElementById('editRedo').disabled = graphEditState.redo.length === 0;
+    renderEditSelection();
+    renderEditHistory();
+}
+
+function renderEditSelection() {
+    const container = document.getElementById('editSelection');
+    const selection = graphEditState.selection;
+
+    if (!selection) {
+        container.innerHTML = '<div class="edit-empty">Nothing selected</div>';
+        return;
+    }
+
+    const citable = findEditItems(currentData, selection).length > 0;
+    const citationSearch = citable
+        ? `
+            <label for="editCitationSearch">Attach a citation:</label>
+            <div class="panel-row">
+                <input type="text" id="editCitationSearch" class="provider-input" placeholder="Search this event's articles">
+                <button id="editCitationFind" class="toggle-key-btn">Search</button>
+            </div>
+            <div id="editCitationResults"></div>`
+        : '';
+
+    if (selection.kind === 'node') {
+        container.innerHTML = `
+            <div class="edit-target">${escapeHtml(selection.label)}</div>
+            <label for="editRename">Rename to:</label>
+            <div class="panel-row">
+                <input type="text" id="editRename" class="provider-input" value="${escapeHtml(selection.label)}">
+                <button id="editApplyRename" class="toggle-key-btn">Rename</button>
+            </div>
+            <div class="side-panel-actions">
+                <button id="editDelete" class="toggle-key-btn">Delete Node</button>
+            </div>
+            ${citationSearch}
+        `;
+        document.getElementById('editApplyRename').addEventListener('click', () => {
+            const newLabel = document.getElementById('editRename').value.trim();
+            if (!newLabel || newLabel === selection.label) return;
+            const position = network.getPositions([selection.label])[selection.label];
+            if (applyGraphEdit('rename node', `${selection.label} → ${newLabel}`,
+                (data, change) => renameNodeInData(data, selection.label, newLabel, change),
+                position ? { [newLabel]: position } : {})) {
+                graphEditState.selection = { kind: 'node', label: newLabel };
+                renderEditSelection();
+            }
+        });
+        document.getElementById('editDelete').addEventListener('click', () => {
+            applyGraphEdit('remove node', selection.label, data => removeNodeFromData(data, selection.label));
+        });
+    } else {
+        const relations = EDIT_RELATIONS.includes(selection.relation)
+            ? EDIT_RELATIONS
+            : EDIT_RELATIONS.concat(selection.relation);
+        container.innerHTML = `
+            <div class="edit-target">${escapeHtml(selection.source)} → ${escapeHtml(selection.relation)} → ${escapeHtml(selection.target)}</div>
+            <label for="editRetype">Relation:</label>
+            <div class="panel-row">
+                <input type="text" id="editRetype" class="provider-input" list="editRelationOptions" value="${escapeHtml(selection.relation)}">
+                <datalist id="editRelationOptions">
+                    ${relations.map(relation => `<option value="${escapeHtml(relation)}"></option>`).join('')}
+                </datalist>
+                <button id="editApplyRetype" class="toggle-key-btn">Change</button>
+            </div>
+            <div class="side-panel-actions">
+                <button id="editDelete" class="toggle-key-btn">Delete Edge</button>
+            </div>
+            ${citationSearch}
+        `;
+        document.getElementById('editApplyRetype').addEventListener('click', () => {
+            const relation = document.getElementById('editRetype').value.trim();
+            if (!relation || relation === selection.relation) return;
+            if (applyGraphEdit('retype edge', `${selection.source} → ${selection.relation} → ${selection.target} as ${relation}`,
+                (data, change) => retypeEdgeInData(data, selection, relation, change))) {
+                graphEditState.selection = { ...selection, relation };
+                renderEditSelection();
+            }
+        });
+        document.getElementById('editDelete').addEventListener('click', () => {
+            applyGraphEdit('remove edge', `${selection.source} → ${selection.relation} → ${selection.target}`,
+                data => removeEdgeFromData(data, selection));
+        });
+    }
+
+    if (citable) {
+        const search = () => searchEditCitations(document.getElementById('editCitationSearch').value.trim());
+        document.getElementById('editCitationFind').addEventListener('click', search);
+        document.getElementById('editCitationSearch').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') search();
+        });
+    }
+}
+
+// BM25 search over the event's article passages for citations to attach
+async function searchEditCitations(query) {
+    const results = document.getElementById('editCitationResults');
+    if (!query) return;
+
+    results.innerHTML = '<div class="query-status"><span style="color: #3498db;">Loading articles...</span></div>';
+    let data;
+    try {
+        data = await ensureEmbeddings(currentData.DisNo);
+    } catch (error) {
+        results.innerHTML = `<div class="query-status"><span style="color: #e74c3c;">${escapeHtml(error.message)}</span></div>`;
+        return;
+    }
+
+    if (!data.passages) {
+        data.passages = chunkDocuments(data.documents);
+        data.passageBm25Index = buildBm25Index(data.passages);
+    }
+    const scores = scoreBm25(data.passageBm25Index, query);
+    const matches = rankByScore(data.passages.map((_, idx) => idx).filter(idx => scores[idx] > 0), scores)
+        .slice(0, MAX_CITATION_MATCHES)
+        .map(idx => data.passages[idx]);
+
+    if (matches.length === 0) {
+        results.innerHTML = '<div class="edit-empty">No matching passages</div>';
+        return;
+    }
+
+    results.innerHTML = matches.map((passage, idx) => `
+        <div class="edit-citation">
+            <div class="edit-citation-title">${escapeHtml(passage.metadata?.title || 'Untitled')}</div>
+            <div class="edit-citation-meta">${escapeHtml([passage.metadata?.source, (passage.metadata?.pubdate || '').slice(0, 10)].filter(Boolean).join(' · '))}</div>
+            <div class="edit-citation-text">${escapeHtml(passage.content.substring(0, 200))}...</div>
+            <button class="toggle-key-btn" data-match="${idx}">Attach</button>
+        </div>
+    `).join('');
+
+    results.querySelectorAll('button[data-match]').forEach(button => {
+        button.addEventListener('click', () => {
+            const passage = matches[Number(button.dataset.match)];
+            const selection = graphEditState.selection;
+            const target = selection.kind === 'node'
+                ? selection.label
+                : `${selection.source} → ${selection.relation} → ${selection.target}`;
+            applyGraphEdit('attach citation', `${target}: ${passage.metadata?.title || 'Untitled'}`,
+                (data, change) => attachCitationToData(data, selection, passage, change));
+        });
+    });
+}
+
+function renderEditHistory() {
+    const history = currentData.edit_history || [];
+    const container = document.getElementById('editHistory');
+
+    if (history.length === 0) {
+        container.innerHTML = '<div class="edit-empty">No changes yet</div>';
+        return;
+    }
+
+    container.innerHTML = history.slice().reverse().map(change => `
+        <div class="edit-change">
+            <div><strong>${escapeHtml(change.action)}</strong> ${escapeHtml(change.target)}</div>
+            <div class="edit-change-meta">${escapeHtml(change.author)} · ${escapeHtml(new Date(change.timestamp).toLocaleString())}</div>
+        </div>
+    `).join('');
+}
+
+// Download the edited event as a *_full.json-compatible file
+function saveEditedGraph() {
+    if (!graphEditMode) return;
+
+    const filename = `${currentData.DisNo || 'event'}_edited_full.json`;
+    downloadFile(filename, JSON.stringify(currentData, null, 2), 'application/json');
+    graphEditState.dirty = false;
+    setEditStatus(`Saved ${filename}`, '#2ecc71');
+}
+
+// ============================================================================
+// CAUSAL ROLES AND LAYOUTS
+// ============================================================================
+
+function initializeGraphLayout() {
+    document.getElementById('graphLayout').addEventListener('change', () => {
+        applyGraphLayout();
+        scheduleViewHashUpdate();
+    });
+}
+
+function getGraphLayout() {
+    return document.getElementById('graphLayout').value;
+}
+
+// Classify nodes by their place in the causal story: sources of `prevents` edges are
+// mitigations; uncaused nodes named like the hazard (or, failing that, the uncaused node
+// reaching the most others) are hazards; nodes that cause nothing are impacts; the rest
+// are drivers.
+function classifyNodeRoles(nodeIds, edges) {
+    const caused = new Set();
+    const causing = new Map();
+    const mitigations = new Set();
+
+    edges.forEach(edge => {
+        if (edge.data.relation === 'prevents') {
+            mitigations.add(edge.from);
+            return;
+        }
+        if (edge.from === edge.to) return;
+        caused.add(edge.to);
+        if (!causing.has(edge.from)) causing.set(edge.from, []);
+        causing.get(edge.from).push(edge.to);
+    });
+
+    const roots = nodeIds.filter(id => !mitigations.has(id) && !caused.has(id) && causing.has(id));
+    let hazards = roots.filter(id => HAZARD_LABEL_PATTERN.test(id));
+    if (hazards.length === 0 && roots.length > 0) {
+        const reach = (id) => {
+            const seen = new Set([id]);
+            const stack = [id];
+            while (stack.length) {
+                (causing.get(stack.pop()) || []).forEach(next => {
+                    if (!seen.has(next)) {
+                        seen.add(next);
+                        stack.push(next);
+                    }
+                });
+            }
+            return seen.size;
+        };
+        hazards = [roots.reduce((best, id) => reach(id) > reach(best) ? id : best)];
+    }
+    const hazardSet = new Set(hazards);
+
+    return new Map(nodeIds.map(id => {
+        if (mitigations.has(id)) return [id, 'mitigation'];
+        if (hazardSet.has(id)) return [id, 'hazard'];
+        return [id, causing.has(id) ? 'driver' : 'impact'];
+    }));
+}
+
+// Longest causal chain leading to each node; hazards stay at depth 0 and impacts
+// start at depth 1. Passes are capped at the node count so cycles terminate.
+function causalDepths(elements) {
+    const roleOf = new Map(elements.nodes.map(node => [node.id, node.role]));
+    const depths = new Map(elements.nodes.map(node => [node.id, node.role === 'impact' ? 1 : 0]));
+    const causal = elements.edges.filter(edge =>
+        edge.data.relation !== 'prevents' && edge.from !== edge.to &&
+        roleOf.get(edge.from) !== 'mitigation' && roleOf.get(edge.to) !== 'hazard'
+    );
+
+    for (let pass = 0; pass < elements.nodes.length; pass++) {
+        let changed = false;
+        causal.forEach(edge => {
+            const depth = depths.get(edge.from) + 1;
+            if (depth > depths.get(edge.to)) {
+                depths.set(edge.to, depth);
+                changed = true;
+            }
+        });
+        if (!changed) break;
+    }
+    return depths;
+}
+
+// Columns left to right by causal depth, each ordered by the mean height of the
+// node's causes; mitigations sit in a lane below, under the nodes they prevent
+function layeredLayout(elements) {
+    const depths = causalDepths(elements);
+    const predecessors = new Map();
+    const prevented = new Map();
+    elements.edges.forEach(edge => {
+        if (edge.from === edge.to) return;
+        const index = edge.data.relation === 'prevents' ? prevented : predecessors;
+        if (!index.has(edge.to)) index.set(edge.to, []);
+        index.get(edge.to).push(edge.from);
+    });
+
+    const columns = new Map();
+    elements.nodes.filter(node => node.role !== 'mitigation').forEach(node => {
+        const depth = depths.get(node.id);
+        if (!columns.has(depth)) columns.set(depth, []);
+        columns.get(depth).push(node.id);
+    });
+
+    const positions = new Map();
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    let halfHeight = 0;
+
+    Array.from(columns.keys()).sort((a, b) => a - b).forEach(depth => {
+        const barycentre = new Map(columns.get(depth).map(id => {
+            const ys = (predecessors.get(id) || []).filter(pred => positions.has(pred)).map(pred => positions.get(pred).y);
+            return [id, ys.length ? mean(ys) : 0];
+        }));
+        const ids = columns.get(depth).sort((a, b) => barycentre.get(a) - barycentre.get(b));
+
+        ids.forEach((id, idx) => {
+            positions.set(id, { x: depth * LAYER_SPACING_X, y: (idx - (ids.length - 1) / 2) * LAYER_SPACING_Y });
+        });
+        halfHeight = Math.max(halfHeight, (ids.length - 1) / 2 * LAYER_SPACING_Y);
+    });
+
+    const preventedBy = new Map();
+    prevented.forEach((sources, target) => sources.forEach(source => {
+        if (!preventedBy.has(source)) preventedBy.set(source, []);
+        if (positions.has(target)) preventedBy.get(source).push(positions.get(target).x);
+    }));
+
+    const lane = elements.nodes
+        .filter(node => node.role === 'mitigation')
+        .map(node => {
+            const xs = preventedBy.get(node.id) || [];
+            return { id: node.id, x: xs.length ? mean(xs) : 0 };
+        })
+        .sort((a, b) => a.x - b.x);
+
+    // Keep neighbouring mitigations from overlapping
+    let minX = -Infinity;
+    lane.forEach(item => {
+        const x = Math.max(item.x, minX);
+        positions.set(item.id, { x, y: halfHeight + MITIGATION_LANE_GAP });
+        minX = x + LAYER_SPACING_X * 0.7;
+    });
+
+    return positions;
+}
+
+// Hazards in the centre and every other node on a ring by its (undirected) hop
+// distance from them, ordered around the ring by the angle of the node it was reached from
+function radialLayout(elements) {
+    const neighbours = new Map(elements.nodes.map(node => [node.id, []]));
+    elements.edges.forEach(edge => {
+        neighbours.get(edge.from)?.push(edge.to);
+        neighbours.get(edge.to)?.push(edge.from);
+    });
+
+    let centre = elements.nodes.filter(node => node.role === 'hazard').map(node => node.id);
+    if (centre.length === 0 && elements.nodes.length > 0) centre = [elements.nodes[0].id];
+
+    const parent = new Map(centre.map(id => [id, null]));
+    const rings = [centre];
+    while (true) {
+        const next = [];
+        rings[rings.length - 1].forEach(id => {
+            neighbours.get(id).forEach(other => {
+                if (parent.has(other)) return;
+                parent.set(other, id);
+                next.push(other);
+            });
+        });
+        if (next.length === 0) break;
+        rings.push(next);
+    }
+    const unreached = elements.nodes.map(node => node.id).filter(id => !parent.has(id));
+    if (unreached.length) rings.push(unreached);
+
+    const positions = new Map();
+    const angles = new Map();
+    rings.forEach((ids, ring) => {
+        const radius = ring === 0
+            ? (ids.length > 1 ? RADIAL_RING_SPACING / 2 : 0)
+            : ring * RADIAL_RING_SPACING;
+        const ordered = ring === 0
+            ? ids
+            : [...ids].sort((a, b) => (angles.get(parent.get(a)) ?? 0) - (angles.get(parent.get(b)) ?? 0));
+
+        ordered.forEach((id, idx) => {
+            const angle = 2 * Math.PI * idx / ordered.length;
+            angles.set(id, angle);
+            positions.set(id, { x: radius * Math.cos(angle), y: radius * Math.sin(angle) });
+        });
+    });
+
+    return positions;
 }
 
-function renumberCitations(answer) {
-    const citationPattern = /\[(\d+)\]/g;
-    const citationsFound = [];
-    let match;
+// Lay the main network out with the selected layout. Fixed layouts turn physics off
+// so nodes stay where they are placed (and where they are dragged).
+function applyGraphLayout() {
+    if (!network) return;
 
-    while ((match = citationPattern.exec(answer)) !== null) {
-        citationsFound.push(parseInt(match[1]));
+    const layout = getGraphLayout();
+    if (layout === 'physics') {
+        network.setOptions({ physics: { enabled: true } });
+        network.stabilize();
+        return;
     }
 
-    const oldToNew = {};
-    let newCounter = 1;
+    const positions = layout === 'radial' ? radialLayout(graphElements) : layeredLayout(graphElements);
+    network.setOptions({ physics: { enabled: false } });
+    networkNodes.update(Array.from(positions, ([id, { x, y }]) => ({ id, x, y })));
+    network.fit();
+}
 
-    citationsFound.forEach(oldNum => {
-        if (!(oldNum in oldToNew)) {
-            oldToNew[oldNum] = newCounter++;
-        }
+function updateRoleLegend(nodes) {
+    const counts = {};
+    nodes.forEach(node => {
+        counts[node.role] = (counts[node.role] || 0) + 1;
     });
 
-    const renumberedAnswer = answer.replace(citationPattern, (match, oldNum) => {
-        const num = parseInt(oldNum);
-        return `[${oldToNew[num] || num}]`;
-    });
+    document.getElementById('roleLegendItems').innerHTML = Object.entries(NODE_ROLES).map(([role, spec]) => `
+        <div class="legend-item">
+            <span class="role-symbol">${spec.symbol}</span>
+            <span>${spec.label} (${counts[role] || 0})</span>
+        </div>
+    `).join('');
+}
 
-    return { renumberedAnswer, mapping: oldToNew };
+// ============================================================================
+// VIEW STATE IN THE URL
+// ============================================================================
+
+function initializeViewState() {
+    window.addEventListener('popstate', restoreViewState);
 }
 
-function reorderCitations(citations, mapping) {
-    const newCitations = new Array(Object.keys(mapping).length);
+// Encode the event, selection or open modal, filters, camera and last query
+function buildViewHash() {
+    if (!currentEventId) return '';
 
-    citations.forEach(citation => {
-        const oldId = citation.source_id;
-        if (oldId in mapping) {
-            const newId = mapping[oldId];
-            const newCitation = { ...citation, source_id: newId };
-            newCitations[newId - 1] = newCitation;
-        }
-    });
+    const params = new URLSearchParams();
+    params.set('event', currentEventId);
+    if (document.getElementById('mergeByHazard').checked) params.set('merge', '1');
+    if (getGraphLayout() !== 'physics') params.set('layout', getGraphLayout());
 
-    return newCitations.filter(c => c !== undefined);
-}
+    if (network) {
+        const setEdge = (edge) => {
+            params.set('from', edge.source);
+            params.set('rel', edge.relation);
+            params.set('to', edge.target);
+        };
+        const selectedNodes = network.getSelectedNodes();
+        const selectedEdges = network.getSelectedEdges();
 
-function displayQueryResults(result, retrievedDocs) {
-    const resultsDiv = document.getElementById('queryResults');
-    const answerBox = document.getElementById('answerBox');
-    const retrievedDocsSection = document.getElementById('retrievedDocsSection');
-    const retrievedDocsDiv = document.getElementById('retrievedDocs');
-    const sourceCount = document.getElementById('sourceCount');
+        if (document.getElementById('edgeModal').style.display === 'block' && currentModalEdge) {
+            setEdge(currentModalEdge);
+            params.set('modal', 'edge');
+        } else if (document.getElementById('nodeModal').style.display === 'block' &&
+            (currentModalNode || selectedNodes.length > 0)) {
+            params.set('node', currentModalNode ? currentModalNode.node : selectedNodes[0]);
+            params.set('modal', 'node');
+        } else if (selectedNodes.length > 0) {
+            params.set('node', selectedNodes[0]);
+        } else if (selectedEdges.length > 0) {
+            const edge = networkEdges.get(selectedEdges[0]);
+            if (edge) setEdge(edge.data);
+        }
 
-    // Display answer with clickable citations
-    answerBox.innerHTML = processCitationsInText(
-        escapeHtml(result.answer),
-        result.citations
-    );
+        const position = network.getViewPosition();
+        params.set('view', `${Math.round(position.x)},${Math.round(position.y)},${network.getScale().toFixed(3)}`);
+    }
 
-    // Add click handlers to citations in answer
-    answerBox.querySelectorAll('.citation').forEach(span => {
-        span.addEventListener('click', function(e) {
-            e.stopPropagation();
-            const citId = parseInt(this.textContent.replace(/[\[\]]/g, ''));
-            const citation = result.citations.find(c => c.source_id === citId);
-            if (citation) {
-                showCitationModal(citation);
-            }
-        });
-    });
+    if (document.getElementById('filterPanel').style.display !== 'none') {
+        const filters = readGraphFilters();
+        params.set('filters', '1');
+        filters.excludedRelations.forEach(relation => params.append('exclude', relation));
+        if (filters.minCitations) params.set('min', filters.minCitations);
+        if (filters.outlet) params.set('outlet', filters.outlet);
+        if (filters.dateFrom) params.set('since', filters.dateFrom);
+        if (filters.dateTo) params.set('until', filters.dateTo);
+        if (filters.label) params.set('label', document.getElementById('graphFilterLabel').value.trim());
+        if (graphFocus) {
+            params.set('focus', graphFocus.nodeId);
+            params.set('hops', graphFocus.hops);
+        }
+    }
 
-    // Display retrieved documents
-    if (result.citations.length > 0) {
-        retrievedDocsSection.style.display = 'block';
-        sourceCount.textContent = result.citations.length;
+    if (lastViewQuery) {
+        params.set('q', lastViewQuery);
+        if (document.getElementById('searchAllEvents').checked) params.set('all', '1');
+    }
 
-        retrievedDocsDiv.innerHTML = result.citations.map((cit, idx) => {
-            const title = cit.metadata?.title || 'No title';
-            const content = cit.content ? cit.content.substring(0, 200) + '...' : 'No content';
+    return params.toString();
+}
 
-            return `
-                <div class="citation-item" data-citation-index="${idx}">
-                    <span class="citation-number">[${cit.source_id}]</span>
-                    <span class="citation-text">
-                        <strong>${escapeHtml(title)}</strong><br>
-                        ${escapeHtml(content)}
-                    </span>
-                </div>
-            `;
-        }).join('');
+// Write the view into the URL, as a new history entry when `push` is set
+function updateViewHash({ push = false } = {}) {
+    if (restoringViewState) return;
+    clearTimeout(viewHashTimer);
+    viewHashTimer = null;
 
-        // Add click handlers to citation items
-        retrievedDocsDiv.querySelectorAll('.citation-item').forEach(item => {
-            item.addEventListener('click', function() {
-                const index = parseInt(this.getAttribute('data-citation-index'));
-                showCitationModal(result.citations[index]);
-            });
-        });
+    const hash = buildViewHash();
+    if (hash === location.hash.slice(1)) return;
+
+    const url = hash ? `#${hash}` : location.pathname + location.search;
+    if (push) {
+        history.pushState(null, '', url);
     } else {
-        retrievedDocsSection.style.display = 'none';
+        history.replaceState(null, '', url);
     }
+}
 
-    resultsDiv.style.display = 'block';
+function scheduleViewHashUpdate() {
+    if (restoringViewState) return;
+    clearTimeout(viewHashTimer);
+    viewHashTimer = setTimeout(() => updateViewHash(), VIEW_HASH_DEBOUNCE_MS);
 }
 
-// ============================================================================
-// ORIGINAL VISUALIZATION CODE
-// ============================================================================
+// Bring the page to the view in the URL hash: on load (once the events index is in)
+// and on browser back/forward
+async function restoreViewState() {
+    const params = new URLSearchParams(location.hash.slice(1));
+    const eventId = params.get('event');
+    const select = document.getElementById('eventSelect');
+    const option = Array.from(select.options).find(candidate => candidate.dataset.disno === eventId);
+    if (!eventId) {
+        // Back at the entry from before any event was chosen
+        if (!currentEventId) return;
+        if (graphEditMode && !leaveGraphEditMode({ reload: false })) {
+            updateViewHash({ push: true });
+            return;
+        }
+        clearDisplayedEvent();
+        return;
+    }
+    if (!option) {
+        console.warn(`Event ${eventId} from the URL is not in the index`);
+        return;
+    }
 
-// Load the index.json file with all events
-async function loadEventsIndex() {
+    const mergeCheckbox = document.getElementById('mergeByHazard');
+    const merge = params.get('merge') === '1';
+    const layoutSelect = document.getElementById('graphLayout');
+    const layout = Array.from(layoutSelect.options).some(candidate => candidate.value === params.get('layout'))
+        ? params.get('layout')
+        : 'physics';
+
+    const reload = eventId !== currentEventId || merge !== mergeCheckbox.checked || !currentData;
+    if (reload && graphEditMode && !leaveGraphEditMode({ reload: false })) {
+        // Keep editing: put the edited view back in the URL
+        updateViewHash({ push: true });
+        return;
+    }
+
+    restoringViewState = true;
     try {
-        console.log('Attempting to load index.json...');
-        const response = await fetch('index.json');
-        
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+        const layoutChanged = layoutSelect.value !== layout;
+        layoutSelect.value = layout;
+
+        if (reload) {
+            select.value = option.value;
+            mergeCheckbox.checked = merge;
+            await loadSelectedEvent();
+        } else if (layoutChanged) {
+            applyGraphLayout();
         }
-        
-        eventsIndex = await response.json();
-        console.log(`Successfully loaded ${eventsIndex.length} events`);
-        populateEventDropdown();
+
+        restoreGraphFilters(params);
+        restoreGraphSelection(params);
+        restoreCamera(params.get('view'), reload && layout === 'physics');
+        await restoreLastQuery(params);
     } catch (error) {
-        console.error('Error loading events index:', error);
-        document.getElementById('eventSelect').innerHTML = '<option value="">Error loading events - check console</option>';
+        console.error('Could not restore the view from the URL:', error);
+    } finally {
+        restoringViewState = false;
     }
 }
 
-// Populate dropdown with events
-function populateEventDropdown() {
-    const select = document.getElementById('eventSelect');
-    
-    if (eventsIndex.length === 0) {
-        select.innerHTML = '<option value="">No events available</option>';
+function restoreGraphFilters(params) {
+    const panel = document.getElementById('filterPanel');
+    if (!params.has('filters')) {
+        graphFocus = null;
+        if (panel.style.display !== 'none') {
+            panel.style.display = 'none';
+            setHiddenGraphLayer('filter', null);
+        }
         return;
     }
-    
-    select.innerHTML = '<option value="">-- Select an event --</option>';
-    
-    eventsIndex.forEach(event => {
-        const option = document.createElement('option');
-        option.value = event.file;
-        option.textContent = `${event.DisNo} - ${event.disaster_type} in ${event.country} (${event.start_dt})`;
-        option.dataset.disno = event.DisNo;
-        select.appendChild(option);
+
+    const excluded = new Set(params.getAll('exclude'));
+    document.querySelectorAll('#graphFilterRelations input').forEach(input => {
+        input.checked = !excluded.has(input.value);
     });
+    document.getElementById('graphFilterMinCitations').value = params.get('min') || 0;
+    document.getElementById('graphFilterOutlet').value = params.get('outlet') || '';
+    document.getElementById('graphFilterDateFrom').value = params.get('since') || '';
+    document.getElementById('graphFilterDateTo').value = params.get('until') || '';
+    document.getElementById('graphFilterLabel').value = params.get('label') || '';
+
+    const focus = params.get('focus');
+    graphFocus = focus !== null && graphElements.nodes.some(node => node.id === focus)
+        ? { nodeId: focus, hops: Math.min(MAX_FOCUS_HOPS, Math.max(1, parseInt(params.get('hops')) || 1)) }
+        : null;
+    document.getElementById('focusHops').value = graphFocus ? graphFocus.hops : 1;
+
+    panel.style.display = 'block';
+    applyGraphFilters();
 }
 
-// Initialize event selector
-function initializeEventSelector() {
-    const select = document.getElementById('eventSelect');
-    
-    select.addEventListener('change', async function() {
-        const filename = this.value;
-        if (!filename) return;
+// Show the page as first loaded, before any event was chosen
+function clearDisplayedEvent() {
+    restoreGraphSelection(new URLSearchParams());
+    restoreGraphFilters(new URLSearchParams());
+    if (network) {
+        network.destroy();
+        network = null;
+        networkNodes = null;
+        networkEdges = null;
+    }
+    graphElements = { nodes: [], edges: [] };
 
-        // Get DisNo from selected option
-        const selectedOption = this.options[this.selectedIndex];
-        currentEventId = selectedOption.dataset.disno;
-        
-        try {
-            console.log(`Loading event data: data/${filename}`);
-            const response = await fetch(`data/${filename}`);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            
-            const data = await response.json();
-            currentData = data;
-            visualizeKnowledgeGraph(data);
+    currentEventId = null;
+    currentData = null;
+    lastViewQuery = '';
+    document.getElementById('eventSelect').value = '';
+    document.getElementById('noData').style.display = '';
+    document.getElementById('eventInfo').classList.remove('active');
+    document.getElementById('legend').style.display = 'none';
+    document.getElementById('queryResults').style.display = 'none';
+}
 
-            // Reset embeddings data when event changes
-            embeddingsData = null;
-        } catch (error) {
-            console.error('Error loading event:', error);
-            alert('Error loading event data: ' + error.message);
-        }
+// Select the node or edge named in the URL and reopen its modal
+function restoreGraphSelection(params) {
+    const modal = params.get('modal');
+    ['edge', 'node'].forEach(kind => {
+        const element = document.getElementById(`${kind}Modal`);
+        if (modal !== kind && element.style.display === 'block') hideGraphModal(element);
     });
-}
+    if (!network) return;
 
-// Initialize node toggle
-function initializeNodeToggle() {
-    const checkbox = document.getElementById('showNodes');
-    checkbox.addEventListener('change', function() {
-        if (currentData) {
-            visualizeKnowledgeGraph(currentData);
+    const nodeId = params.get('node');
+    const node = nodeId !== null ? graphElements.nodes.find(candidate => candidate.id === nodeId) : null;
+    const edge = params.has('from')
+        ? graphElements.edges.find(candidate =>
+            candidate.data.source === params.get('from') &&
+            candidate.data.relation === params.get('rel') &&
+            candidate.data.target === params.get('to'))
+        : null;
+
+    if (node) {
+        network.selectNodes([node.id]);
+        if (modal === 'node') {
+            if (node.data) {
+                showNodeModal(node.data);
+            } else {
+                showNodeModalBasic(node.id);
+            }
         }
+    } else if (edge) {
+        network.selectEdges([edge.id]);
+        if (modal === 'edge') showEdgeModal(edge.data);
+    } else {
+        network.unselectAll();
+    }
+}
+
+// Move the camera to "x,y,scale". A freshly built force-directed graph fits itself
+// once stabilised, so the move is repeated then.
+function restoreCamera(view, afterStabilization) {
+    const [x, y, scale] = String(view || '').split(',').map(Number);
+    if (!network || !view || [x, y, scale].some(isNaN)) return;
+
+    const camera = { position: { x, y }, scale };
+    network.moveTo(camera);
+    if (afterStabilization) {
+        const instance = network;
+        instance.once('stabilizationIterationsDone', () => instance.moveTo(camera));
+    }
+}
+
+// Reopen the stored answer to the question in the URL, or put it back in the query box
+async function restoreLastQuery(params) {
+    const question = params.get('q');
+    lastViewQuery = question || '';
+    if (!question) return;
+
+    document.getElementById('searchAllEvents').checked = params.get('all') === '1';
+    document.getElementById('queryPanel').style.display = 'block';
+    await refreshChatSessions();
+
+    let match = null;
+    chatSessions.forEach(session => {
+        session.turns.forEach(turn => {
+            if (turn.question === question && (!match || turn.askedAt > match.turn.askedAt)) {
+                match = { session, turn };
+            }
+        });
     });
+
+    if (match) {
+        activeChatSession = match.session;
+        await refreshChatSessions();
+        reopenChatTurn(match.turn);
+    } else {
+        document.getElementById('userQuery').value = question;
+    }
 }
 
 // Visualize the knowledge graph
@@ -495,9 +6126,12 @@ function visualizeKnowledgeGraph(data) {
 
     // Update event info
     updateEventInfo(data);
+    updateCountryLegend(data);
 
-    const kgData = data.knowledge_graph_with_citations || [];
-    const nodesWithCitations = data.nodes_with_citations || [];
+    // Rewrite aliased node labels to their canonical concept
+    const view = canonicalizeGraph(data);
+    const kgData = view.knowledge_graph_with_citations || [];
+    const nodesWithCitations = view.nodes_with_citations || [];
 
     // Create lookup for node data
     nodesData = {};
@@ -511,10 +6145,17 @@ function visualizeKnowledgeGraph(data) {
     const { nodes, edges } = extractGraphElements(kgData);
 
     // Update stats
-    updateStats(nodes.length, edges.length, data);
+    updateStats(nodes.length, edges.length, view);
+    updateRoleLegend(nodes);
 
     // Create network visualization
     createNetwork(nodes, edges);
+    populatePathSelectors(nodes);
+    refreshTimeline(view.start_dt);
+    refreshEventPlaces();
+    refreshArticleBrowser();
+    refreshGraphFilters();
+    refreshStoryline();
 }
 
 // Update event information display
@@ -526,8 +6167,11 @@ function updateEventInfo(data) {
     document.getElementById('infoDate').textContent = data.start_dt || 'N/A';
 }
 
-// Extract nodes and edges from KG data
-function extractGraphElements(kgData) {
+// Extract nodes and edges from KG data; `nodeLookup` maps node labels to their
+// nodes_with_citations entry and defaults to the displayed event's. `startDate` is the
+// event start that article recency is measured from.
+function extractGraphElements(kgData, nodeLookup = nodesData, startDate = currentData?.start_dt) {
+    const scheme = getEvidenceScheme();
     const nodesSet = new Set();
     const edges = [];
 
@@ -535,16 +6179,29 @@ function extractGraphElements(kgData) {
         nodesSet.add(item.source);
         nodesSet.add(item.target);
 
-        const nCitations = item.n_citations || 0;
-        let color = getEdgeColor(nCitations);
+        const strength = scheme.score(item, startDate);
+        let color = getEdgeColor(strength);
+        let label = item.relation;
+        let title = strength.summary;
+
+        // Merged hazard edges are coloured and tagged by originating country
+        if (item.origins) {
+            color = getOriginEdgeColor(item.origins);
+            if (item.origins.length > 1) {
+                label = `${item.relation} ×${item.origins.length}`;
+            }
+            title = item.origins.map(origin => `${origin.country}: ${origin.n_citations} citations`)
+                .concat(strength.summary).join('\n');
+        }
 
         edges.push({
             id: idx,
             from: item.source,
             to: item.target,
-            label: item.relation,
+            label: label,
+            title: title,
             color: { color: color },
-            width: 2 + nCitations,
+            width: strength.width,
             font: { size: 14, align: 'middle', color: '#2c3e50' },
             arrows: { to: { enabled: true, scaleFactor: 0.6 } },
             smooth: { enabled: true, type: 'continuous' },
@@ -552,16 +6209,23 @@ function extractGraphElements(kgData) {
         });
     });
 
+    // Nodes without edges (e.g. just added in edit mode) are still shown
+    Object.keys(nodeLookup).forEach(node => nodesSet.add(node));
+
+    const roles = classifyNodeRoles(Array.from(nodesSet), edges);
+
     // Create nodes array with conditional styling
     const showNodeDetails = document.getElementById('showNodes').checked;
     const nodes = Array.from(nodesSet).map(node => {
-        const nodeInfo = nodesData[node];
-        const nCitations = nodeInfo ? (nodeInfo.n_citations || 0) : 0;
+        const nodeInfo = nodeLookup[node];
+        const role = roles.get(node);
         
-        let nodeColor, nodeSize;
+        let nodeColor, nodeSize, title;
         if (showNodeDetails && nodeInfo) {
-            nodeColor = getNodeColor(nCitations);
-            nodeSize = 25 + (nCitations * 3);
+            const strength = scheme.score(nodeInfo, startDate);
+            nodeColor = getNodeColor(strength);
+            nodeSize = strength.size;
+            title = strength.summary;
         } else {
             nodeColor = {
                 background: '#97c2fc',
@@ -574,10 +6238,12 @@ function extractGraphElements(kgData) {
         return {
             id: node,
             label: node,
+            title: [`Role: ${NODE_ROLES[role].label}`, title].filter(Boolean).join('\n'),
             color: nodeColor,
             font: { size: 16, color: '#2c3e50' },
-            shape: 'dot',
+            shape: NODE_ROLES[role].shape,
             size: nodeSize,
+            role: role,
             data: nodeInfo
         };
     });
@@ -585,34 +6251,134 @@ function extractGraphElements(kgData) {
     return { nodes, edges };
 }
 
-// Get edge color based on number of citations
-function getEdgeColor(nCitations) {
-    if (nCitations >= 3) return '#2ecc71'; // Green
-    if (nCitations >= 1) return '#f39c12'; // Orange
-    return '#e74c3c'; // Red
-}
+// ============================================================================
+// EVIDENCE STRENGTH
+// ============================================================================
 
-// Get node color based on number of citations
-function getNodeColor(nCitations) {
-    if (nCitations >= 3) {
-        return {
-            background: '#3498db',
-            border: '#2980b9',
-            highlight: { background: '#5dade2', border: '#2980b9' }
-        };
-    }
-    if (nCitations >= 1) {
-        return {
-            background: '#9b59b6',
-            border: '#8e44ad',
-            highlight: { background: '#bb8fce', border: '#8e44ad' }
-        };
+// Each scheme scores an edge or node record as { level: 0-2, width, size, summary };
+// levels index EVIDENCE_LEVELS (unsupported / moderate / well-supported)
+const EVIDENCE_SCHEMES = {
+    evidence: {
+        label: 'Evidence score',
+        legend: ['Weak or admitted missing evidence', 'Moderate evidence', 'Strong, independent evidence'],
+        score: (item, startDate) => {
+            const evidence = computeEvidenceScore(item, startDate);
+            const level = evidence.score >= 0.6 ? 2 : evidence.score >= 0.3 ? 1 : 0;
+            return {
+                level,
+                width: 2 + evidence.score * 8,
+                size: 25 + evidence.score * 24,
+                summary: describeEvidence(evidence)
+            };
+        }
+    },
+    outlets: {
+        label: 'Independent outlets',
+        legend: ['No outlet', '1 outlet', '2+ independent outlets'],
+        score: (item) => {
+            const outlets = summarizeCitationSources(item.citations).outlets;
+            return {
+                level: Math.min(outlets, 2),
+                width: 2 + outlets * 2,
+                size: 25 + outlets * 6,
+                summary: `${outlets} distinct outlet${outlets === 1 ? '' : 's'}`
+            };
+        }
+    },
+    citations: {
+        label: 'Citation count',
+        legend: ['No citations (unsupported)', '1-2 citations (moderately supported)', '3+ citations (well-supported)'],
+        score: (item) => {
+            const nCitations = item.n_citations || 0;
+            return {
+                level: nCitations >= 3 ? 2 : nCitations >= 1 ? 1 : 0,
+                width: 2 + nCitations,
+                size: 25 + (nCitations * 3),
+                summary: `${nCitations} citation${nCitations === 1 ? '' : 's'}`
+            };
+        }
     }
-    return {
-        background: '#95a5a6',
-        border: '#7f8c8d',
-        highlight: { background: '#bdc3c7', border: '#7f8c8d' }
-    };
+};
+
+function getEvidenceScheme() {
+    const select = document.getElementById('evidenceScheme');
+    return EVIDENCE_SCHEMES[select.value] || EVIDENCE_SCHEMES.evidence;
+}
+
+// Distinct outlets (metadata.source) and articles (metadata.guid) behind a citation list
+function summarizeCitationSources(citations = []) {
+    const outlets = new Set();
+    const articles = new Map();
+
+    citations.forEach(cit => {
+        const metadata = cit.metadata || {};
+        if (metadata.source) outlets.add(metadata.source);
+        const guid = metadata.guid || metadata.url || metadata.title;
+        if (guid && !articles.has(guid)) articles.set(guid, metadata.pubdate || '');
+    });
+
+    return { outlets: outlets.size, articles: articles.size, pubdates: Array.from(articles.values()) };
+}
+
+// Combine outlet independence, article count and reporting recency into a 0-1 score,
+// halved when the answer itself says the sources lack the evidence asked for
+function computeEvidenceScore(item, startDate) {
+    const { outlets, articles, pubdates } = summarizeCitationSources(item.citations);
+    const start = startDate ? Date.parse(startDate) : NaN;
+
+    // Articles published close to the event start are weighted higher than later retrospectives
+    const recencyWeights = pubdates.map(pubdate => {
+        const published = Date.parse(pubdate);
+        if (isNaN(start) || isNaN(published)) return 0.5;
+        const days = Math.max(0, (published - start) / 86400000);
+        return Math.pow(0.5, days / EVIDENCE_RECENCY_HALF_LIFE_DAYS);
+    });
+    const recency = recencyWeights.length
+        ? recencyWeights.reduce((total, weight) => total + weight, 0) / recencyWeights.length
+        : 0;
+
+    const admitsMissing = MISSING_EVIDENCE_PATTERN.test(item.answer || '');
+    const base = 0.45 * Math.min(outlets / EVIDENCE_FULL_OUTLETS, 1) +
+        0.35 * Math.min(articles / EVIDENCE_FULL_ARTICLES, 1) +
+        0.2 * recency;
+
+    return { score: admitsMissing ? base * 0.5 : base, outlets, articles, recency, admitsMissing };
+}
+
+function describeEvidence(evidence) {
+    const lines = [
+        `Evidence score ${evidence.score.toFixed(2)}`,
+        `${evidence.outlets} outlet${evidence.outlets === 1 ? '' : 's'}, ${evidence.articles} article${evidence.articles === 1 ? '' : 's'}`,
+        `Recency ${evidence.recency.toFixed(2)}`
+    ];
+    if (evidence.admitsMissing) lines.push('Answer admits missing evidence');
+    return lines.join('\n');
+}
+
+// Get edge color for an evidence level
+function getEdgeColor(strength) {
+    return EVIDENCE_LEVELS[strength.level].edge;
+}
+
+// Get node color for an evidence level
+function getNodeColor(strength) {
+    return EVIDENCE_LEVELS[strength.level].node;
+}
+
+// Rewrite the edge/node colour legends for the selected scheme
+function updateEvidenceLegend() {
+    const scheme = getEvidenceScheme();
+    const items = (shape) => scheme.legend.map((text, level) => ({ text, level })).reverse().map(({ text, level }) => `
+        <div class="legend-item">
+            <div class="legend-color" style="background-color: ${shape === 'edge' ? EVIDENCE_LEVELS[level].edge : EVIDENCE_LEVELS[level].node.background};${shape === 'node' ? ' border-radius: 50%;' : ''}"></div>
+            <span>${escapeHtml(text)}</span>
+        </div>
+    `).join('');
+
+    document.getElementById('edgeEvidenceTitle').textContent = `Edge Colors (${scheme.label})`;
+    document.getElementById('edgeEvidenceItems').innerHTML = items('edge');
+    document.getElementById('nodeEvidenceTitle').textContent = `Node Colors (${scheme.label})`;
+    document.getElementById('nodeEvidenceItems').innerHTML = items('node');
 }
 
 // Update statistics display
@@ -627,8 +6393,28 @@ function updateStats(nodeCount, edgeCount, data) {
 
 // Create the network visualization
 function createNetwork(nodes, edges) {
-    const container = document.getElementById('network');
-    const graphData = { nodes: nodes, edges: edges };
+    // Destroy existing network if present
+    if (network) {
+        network.destroy();
+    }
+
+    graphElements = { nodes, edges };
+    hiddenGraphLayers = {};
+    networkNodes = new vis.DataSet(nodes);
+    networkEdges = new vis.DataSet(edges);
+    network = buildNetwork(document.getElementById('network'), networkNodes, networkEdges);
+    network.on('select', highlightPlacesForSelection);
+    network.on('select', highlightStorylineForSelection);
+    ['select', 'dragEnd', 'zoom'].forEach(eventName => network.on(eventName, scheduleViewHashUpdate));
+    if (getGraphLayout() !== 'physics') applyGraphLayout();
+}
+
+// Create a vis-network in `container` whose clicks open the edge/node modals.
+// `nodes` and `edges` may be arrays or vis.DataSets.
+function buildNetwork(container, nodes, edges) {
+    const nodeSet = nodes instanceof vis.DataSet ? nodes : new vis.DataSet(nodes);
+    const edgeSet = edges instanceof vis.DataSet ? edges : new vis.DataSet(edges);
+    const graphData = { nodes: nodeSet, edges: edgeSet };
     
     const options = {
         physics: {
@@ -652,18 +6438,19 @@ function createNetwork(nodes, edges) {
         }
     };
 
-    // Destroy existing network if present
-    if (network) {
-        network.destroy();
-    }
-
-    network = new vis.Network(container, graphData, options);
+    const instance = new vis.Network(container, graphData, options);
 
     // Add click event for edges and nodes
-    network.on('click', function(params) {
+    instance.on('click', function(params) {
+        // In edit mode clicks on the main graph select what to edit instead
+        if (graphEditMode && instance === network) {
+            selectEditTarget(params);
+            return;
+        }
+
         if (params.nodes.length > 0) {
             const nodeId = params.nodes[0];
-            const node = nodes.find(n => n.id === nodeId);
+            const node = nodeSet.get(nodeId);
             
             if (node) {
                 if (node.data) {
@@ -675,17 +6462,19 @@ function createNetwork(nodes, edges) {
         } 
         else if (params.edges.length > 0) {
             const edgeId = params.edges[0];
-            const edge = edges.find(e => e.id === edgeId);
+            const edge = edgeSet.get(edgeId);
             if (edge) {
                 showEdgeModal(edge.data);
             }
         }
     });
 
-    network.on('doubleClick', function(params) {
+    instance.on('doubleClick', function(params) {
+        if (graphEditMode && instance === network) return;
+
         if (params.nodes.length > 0) {
             const nodeId = params.nodes[0];
-            const node = nodes.find(n => n.id === nodeId);
+            const node = nodeSet.get(nodeId);
             if (node && node.data) {
                 showNodeModal(node.data);
             } else {
@@ -693,11 +6482,16 @@ function createNetwork(nodes, edges) {
             }
         }
     });
+
+    return instance;
 }
 
 // Show modal with edge details
 function showEdgeModal(edgeData) {
     const modal = document.getElementById('edgeModal');
+    currentModalEdge = edgeData;
+    document.getElementById('edgeGrounding').style.display = 'none';
+    openReviewSection('edge', edgeData);
     
     document.getElementById('modalRelation').textContent = 
         `${edgeData.source} → ${edgeData.relation} → ${edgeData.target}`;
@@ -752,11 +6546,17 @@ function showEdgeModal(edgeData) {
     });
     
     modal.style.display = 'block';
+    updateViewHash({ push: true });
 }
 
 // Show modal with node details
 function showNodeModal(nodeData) {
     const modal = document.getElementById('nodeModal');
+    currentModalNode = nodeData;
+    document.getElementById('nodeGrounding').style.display = 'none';
+    document.getElementById('checkNodeGrounding').style.display = 'inline-block';
+    document.getElementById('nodeFollowupSection').style.display = 'block';
+    openReviewSection('node', nodeData);
     
     document.getElementById('modalNodeTitle').textContent = nodeData.node || 'Node Details';
     document.getElementById('modalNodeQuestion').textContent = nodeData.question || 'N/A';
@@ -809,11 +6609,17 @@ function showNodeModal(nodeData) {
     });
     
     modal.style.display = 'block';
+    updateViewHash({ push: true });
 }
 
 // Show basic node modal
 function showNodeModalBasic(nodeId) {
     const modal = document.getElementById('nodeModal');
+    currentModalNode = null;
+    document.getElementById('nodeGrounding').style.display = 'none';
+    document.getElementById('checkNodeGrounding').style.display = 'none';
+    document.getElementById('nodeFollowupSection').style.display = 'none';
+    document.getElementById('nodeReviewBadge').style.display = 'none';
     
     document.getElementById('modalNodeTitle').textContent = nodeId;
     document.getElementById('modalNodeQuestion').textContent = 'No detailed information available for this node';
@@ -821,6 +6627,7 @@ function showNodeModalBasic(nodeId) {
     document.getElementById('nodeCitationsSection').style.display = 'none';
     
     modal.style.display = 'block';
+    updateViewHash({ push: true });
 }
 
 // Process text to make citations clickable
@@ -840,17 +6647,38 @@ function processCitationsInText(text, citations) {
 // Show citation detail modal
 function showCitationModal(citation) {
     const modal = document.getElementById('citationModal');
+    const contextDiv = document.getElementById('citationContext');
     
-    document.getElementById('citationContext').textContent = 
-        citation.content || 'No content available';
+    // Retrieved passages are shown highlighted inside their full article
+    if (citation.passage) {
+        const { article, start, end } = citation.passage;
+        contextDiv.innerHTML = escapeHtml(article.slice(0, start)) +
+            `<mark class="passage-highlight">${escapeHtml(article.slice(start, end))}</mark>` +
+            escapeHtml(article.slice(end));
+    } else {
+        contextDiv.textContent = citation.content || 'No content available';
+    }
     document.getElementById('citationTitle').textContent = 
         citation.metadata?.title || 'No title available';
+
+    const eventsSection = document.getElementById('citationEventsSection');
+    if (citation.events && citation.events.length > 0) {
+        document.getElementById('citationEvents').textContent = formatEventLabels(citation.events).join(', ');
+        eventsSection.style.display = 'block';
+    } else {
+        eventsSection.style.display = 'none';
+    }
     
     const url = citation.metadata?.url || '';
     document.getElementById('citationUrl').textContent = url || 'No URL provided';
     document.getElementById('citationUrl').href = url || '#';
     
     modal.style.display = 'block';
+
+    const highlight = contextDiv.querySelector('.passage-highlight');
+    if (highlight) {
+        highlight.scrollIntoView({ block: 'center' });
+    }
 }
 
 // Initialize modal close handlers
@@ -858,15 +6686,22 @@ function initializeModals() {
     const edgeModal = document.getElementById('edgeModal');
     const edgeClose = edgeModal.querySelector('.close');
     
+    // Closing the edge or node modal is a navigation step in the URL history
+    const closeGraphModal = (modal) => {
+        if (modal.style.display !== 'block') return;
+        hideGraphModal(modal);
+        updateViewHash({ push: true });
+    };
+
     edgeClose.addEventListener('click', () => {
-        edgeModal.style.display = 'none';
+        closeGraphModal(edgeModal);
     });
     
     const nodeModal = document.getElementById('nodeModal');
     const nodeClose = nodeModal.querySelector('.node-close');
     
     nodeClose.addEventListener('click', () => {
-        nodeModal.style.display = 'none';
+        closeGraphModal(nodeModal);
     });
     
     const citationModal = document.getElementById('citationModal');
@@ -878,10 +6713,10 @@ function initializeModals() {
     
     window.addEventListener('click', (event) => {
         if (event.target === edgeModal) {
-            edgeModal.style.display = 'none';
+            closeGraphModal(edgeModal);
         }
         if (event.target === nodeModal) {
-            nodeModal.style.display = 'none';
+            closeGraphModal(nodeModal);
         }
         if (event.target === citationModal) {
             citationModal.style.display = 'none';
@@ -890,8 +6725,8 @@ function initializeModals() {
     
     document.addEventListener('keydown', (event) => {
         if (event.key === 'Escape') {
-            edgeModal.style.display = 'none';
-            nodeModal.style.display = 'none';
+            closeGraphModal(edgeModal);
+            closeGraphModal(nodeModal);
             citationModal.style.display = 'none';
         }
     });